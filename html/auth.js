@@ -0,0 +1,134 @@
+// Login handling shared by every page. Include it in <head>, before the page's own script.
+//
+// Keeps the session from login.html in localStorage and adds its token to every call to the
+// backend API, along with the page's name for the audit log. When the backend answers 401 (no
+// session, or it expired) the browser goes to the login page and comes back afterwards. Pages
+// still work from their offline copies when the backend can't be reached at all.
+(() => {
+    const API_BASE = 'http://localhost:3000/api';
+    const SESSION_KEY = 'pharmacy_session_v1';
+    const LOGIN_PAGE = 'login.html';
+
+    const currentPage = () => window.location.pathname.split('/').pop() || 'index.html';
+
+    const loadSession = () => {
+        try {
+            const session = JSON.parse(localStorage.getItem(SESSION_KEY) || 'null');
+            if (!session || !session.token || new Date(session.expiresAt) <= new Date()) return null;
+            return session;
+        } catch (e) {
+            return null;
+        }
+    };
+
+    // Save { token, expiresAt, user } from POST /auth/login or /auth/setup
+    const saveSession = (session) => {
+        localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+    };
+
+    const clearSession = () => {
+        localStorage.removeItem(SESSION_KEY);
+    };
+
+    const goToLogin = () => {
+        if (currentPage() === LOGIN_PAGE) return;
+        window.location.href = `${LOGIN_PAGE}?next=${encodeURIComponent(currentPage() + window.location.search)}`;
+    };
+
+    const originalFetch = window.fetch.bind(window);
+    window.fetch = async (input, init = {}) => {
+        const url = typeof input === 'string' ? input : input.url;
+        if (!url.startsWith(API_BASE)) return originalFetch(input, init);
+
+        const session = loadSession();
+        const headers = new Headers(init.headers || (typeof input === 'string' ? undefined : input.headers));
+        if (session) headers.set('Authorization', `Bearer ${session.token}`);
+        headers.set('X-Source-Page', currentPage());
+
+        const res = await originalFetch(input, { ...init, headers });
+        if (res.status === 401 && !url.startsWith(`${API_BASE}/auth/login`)) {
+            clearSession();
+            goToLogin();
+        }
+        return res;
+    };
+
+    const logout = async () => {
+        try {
+            await window.fetch(`${API_BASE}/auth/logout`, { method: 'POST' });
+        } catch (e) {
+            console.warn('Logout request failed:', e);
+        }
+        clearSession();
+        window.location.href = LOGIN_PAGE;
+    };
+
+    // The logged-in user as of login (profile.html refreshes it from /auth/me)
+    const user = () => {
+        const session = loadSession();
+        return session ? session.user : null;
+    };
+
+    const hasRole = (...roles) => {
+        const current = user();
+        return Boolean(current && roles.includes(current.role));
+    };
+
+    // Keep the copy of the user in the session up to date after a profile change
+    const updateUser = (next) => {
+        const session = loadSession();
+        if (session) saveSession({ ...session, user: next });
+    };
+
+    // Save a file from the API. A plain link can't send the session token, so fetch it and hand the
+    // browser the result; the file name comes from the server's Content-Disposition header.
+    const download = async (url, fallbackName) => {
+        const res = await window.fetch(url);
+        if (!res.ok) {
+            const body = await res.json().catch(() => ({}));
+            throw new Error(body.error || `Download failed (${res.status})`);
+        }
+        const match = /filename="?([^";]+)"?/.exec(res.headers.get('Content-Disposition') || '');
+        const href = URL.createObjectURL(await res.blob());
+        const a = document.createElement('a');
+        a.href = href;
+        a.download = match ? match[1] : fallbackName;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        URL.revokeObjectURL(href);
+    };
+
+    // "Signed in as" line with a log-out link above the sidebar footer
+    const showSignedInUser = () => {
+        const current = user();
+        const sidebar = document.getElementById('sidebar');
+        if (!current || !sidebar) return;
+
+        const box = document.createElement('div');
+        box.style.cssText = 'padding: 12px 24px; font-size: 13px; color: rgba(255, 255, 255, 0.85); border-top: 1px solid rgba(255, 255, 255, 0.1);';
+        const name = document.createElement('div');
+        name.style.fontWeight = '600';
+        name.textContent = `${current.avatar || '👤'} ${current.name}`;
+        const role = document.createElement('div');
+        role.style.cssText = 'opacity: 0.8; text-transform: capitalize; margin-bottom: 6px;';
+        role.textContent = current.role;
+        const link = document.createElement('a');
+        link.href = '#';
+        link.textContent = 'Log out';
+        link.style.cssText = 'color: #a8df8e; font-weight: 600;';
+        link.onclick = (e) => {
+            e.preventDefault();
+            logout();
+        };
+        box.append(name, role, link);
+
+        const footer = sidebar.querySelector('.footer');
+        sidebar.insertBefore(box, footer);
+    };
+
+    if (!loadSession()) clearSession(); // forget an expired session
+    document.addEventListener('DOMContentLoaded', showSignedInUser);
+
+    window.pharmacyAuth = { user, hasRole, saveSession, updateUser, logout, download };
+})();
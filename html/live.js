@@ -0,0 +1,83 @@
+// Live updates from the backend, shared by the dashboard pages. Include it in <head>, after auth.js.
+//
+// Keeps a Server-Sent Events stream open to GET /api/events and re-fires each event on the window
+// as a 'pharmacy-live' CustomEvent with detail { type, data }: 'inventory', 'sale' and 'alert' as
+// described in pharmacy-backend/lib/events.js, plus 'resync' after the stream comes back from a
+// drop, when the page may have missed something. The stream is read with fetch rather than
+// EventSource so that auth.js can add the session token.
+//
+// Pages usually just want to re-render when one of a few events arrives:
+//
+//   pharmacyLive.on(['inventory', 'sale', 'resync'], renderDashboard);
+(() => {
+    const API_BASE = 'http://localhost:3000/api';
+    const DEBOUNCE_MS = 300; // one re-render for a burst of events (a sale is an inventory and a sale event)
+    let retryMs = 5000;
+    let connectedBefore = false;
+
+    const emit = (type, data) => {
+        window.dispatchEvent(new CustomEvent('pharmacy-live', { detail: { type, data } }));
+    };
+
+    // One event block: "event: <type>" and "data: <json>" lines, or comments and a retry hint
+    const handleBlock = (block) => {
+        let type = 'message';
+        const data = [];
+        block.split(/\r?\n/).forEach(line => {
+            const colon = line.indexOf(':');
+            const field = colon === -1 ? line : line.slice(0, colon);
+            const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+            if (field === 'event') type = value;
+            else if (field === 'data') data.push(value);
+            else if (field === 'retry' && /^\d+$/.test(value)) retryMs = Number(value);
+        });
+        if (!data.length) return;
+        try {
+            emit(type, JSON.parse(data.join('\n')));
+        } catch (e) {
+            console.warn('Ignoring a malformed live event:', e);
+        }
+    };
+
+    const connect = async () => {
+        try {
+            const res = await fetch(`${API_BASE}/events`, { headers: { Accept: 'text/event-stream' } });
+            if (res.status === 401) return; // auth.js is taking us to the login page
+            if (!res.ok || !res.body) throw new Error(`Live updates unavailable (${res.status})`);
+
+            if (connectedBefore) emit('resync', {});
+            connectedBefore = true;
+
+            const reader = res.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = '';
+            for (;;) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                buffer += decoder.decode(value, { stream: true });
+                const blocks = buffer.split(/\r?\n\r?\n/);
+                buffer = blocks.pop();
+                blocks.forEach(handleBlock);
+            }
+        } catch (e) {
+            console.warn('Live updates interrupted:', e.message);
+        }
+        setTimeout(connect, retryMs);
+    };
+
+    // Call handler(detail) once things settle after any of the given event types
+    const on = (types, handler) => {
+        let timer = null;
+        window.addEventListener('pharmacy-live', (e) => {
+            if (!types.includes(e.detail.type)) return;
+            clearTimeout(timer);
+            timer = setTimeout(() => handler(e.detail), DEBOUNCE_MS);
+        });
+    };
+
+    document.addEventListener('DOMContentLoaded', () => {
+        if (window.pharmacyAuth && window.pharmacyAuth.user()) connect();
+    });
+
+    window.pharmacyLive = { on };
+})();
@@ -0,0 +1,60 @@
+// Stock locations, shared by the pages that show, receive or sell stock. Include it after sync.js.
+//
+// Every batch is at one location (the shop floor, the back store, a branch). The location picked
+// on one page is remembered for the others, so a counter at the second branch stays on it. In a
+// filter, '' means every location; where stock is received or sold it means the default one.
+//
+//   await pharmacyLocations.fill($('locationSelect'), { all: 'All locations' });
+//   fetch(`${API_BASE}/inventory${pharmacyLocations.query()}`);
+(() => {
+    const KEY = 'pharmacy_location_v1';
+    let locations = [];
+
+    // Open locations, the default first (the last copy the server sent while offline)
+    const load = async () => {
+        const { data } = await pharmacySync.getJson('/locations?active=true');
+        locations = Array.isArray(data) ? data : [];
+        return locations;
+    };
+
+    const current = () => {
+        const id = localStorage.getItem(KEY) || '';
+        return locations.some(location => location.id === id) ? id : '';
+    };
+
+    const select = (id) => localStorage.setItem(KEY, id || '');
+
+    // Where stock is sold or received: the picked location, else the default one
+    const stockLocation = () => current() || (locations[0] ? locations[0].id : '');
+
+    const name = (id) => {
+        const location = locations.find(l => l.id === id);
+        return location ? location.name : '';
+    };
+
+    // ?locationId= for the picked location, or '' for every location; `join` is '&' after a query
+    const query = (join = '?') => (current() ? `${join}locationId=${encodeURIComponent(current())}` : '');
+
+    // Fill a <select> with the open locations and pick the remembered one. With `all`, the first
+    // option is every location; without it the default location stands for ''. Changing the
+    // select remembers the choice and calls onChange. Hidden when there is only one location.
+    const fill = async (el, { all = null, onChange = null } = {}) => {
+        try {
+            await load();
+        } catch (e) {
+            console.warn('Could not load the locations', e);
+        }
+        const esc = (s) => String(s || '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+        el.innerHTML = (all ? `<option value="">${esc(all)}</option>` : '')
+            + locations.map(l => `<option value="${esc(l.id)}">${esc(l.name)}${l.isDefault && !all ? ' (default)' : ''}</option>`).join('');
+        el.value = all ? current() : stockLocation();
+        el.style.display = locations.length > 1 ? '' : 'none';
+        el.onchange = () => {
+            select(el.value);
+            if (onChange) onChange(el.value);
+        };
+        return locations;
+    };
+
+    window.pharmacyLocations = { load, fill, current, select, stockLocation, name, query, list: () => locations };
+})();
@@ -0,0 +1,79 @@
+// Barcode scanning, shared by the pages that receive and sell stock. Include it after auth.js.
+//
+// Keyboard-wedge scanners "type" the code into whatever has focus, far faster than a person can,
+// and press Enter at the end. A burst like that anywhere on the page is taken as a scan: it is
+// kept out of the field that had focus (and doesn't submit its form) and handed to the page as one
+// code. The FNC1 separators in GS1 DataMatrix codes reach the page as Ctrl+] (ASCII 29).
+//
+//   pharmacyScanner.listen(async (code) => {
+//       const scan = await pharmacyScanner.lookup(code); // GET /api/barcodes?code=...
+//       ...fill the form from scan.product, scan.batchNumber, scan.expiryDate
+//   });
+(() => {
+    const API_BASE = 'http://localhost:3000/api';
+    const MAX_GAP_MS = 50; // between the keys of one scan; people type slower
+    const MIN_LENGTH = 8; // the shortest code, an EAN-8
+    const GS = '\x1d';
+    const handlers = [];
+
+    let buffer = '';
+    let lastKeyAt = 0;
+    let field = null; // the input that had focus when the burst began, and its value before it
+    let fieldValue = '';
+
+    const reset = () => {
+        buffer = '';
+        field = null;
+    };
+
+    document.addEventListener('keydown', (e) => {
+        const now = Date.now();
+        if (now - lastKeyAt > MAX_GAP_MS) reset();
+        lastKeyAt = now;
+
+        if (e.key === 'Enter') {
+            if (buffer.length >= MIN_LENGTH && handlers.length) {
+                e.preventDefault();
+                e.stopPropagation();
+                if (field) {
+                    field.value = fieldValue;
+                    field.dispatchEvent(new Event('input', { bubbles: true }));
+                }
+                const code = buffer;
+                handlers.forEach(handler => handler(code));
+            }
+            reset();
+            return;
+        }
+
+        let char = null;
+        if (e.ctrlKey && (e.key === ']' || e.code === 'BracketRight')) char = GS;
+        else if (e.key.length === 1 && !e.ctrlKey && !e.altKey && !e.metaKey) char = e.key;
+        if (char === null) return;
+        if (char === GS) e.preventDefault();
+
+        if (!buffer) {
+            const active = document.activeElement;
+            field = active && (active.tagName === 'INPUT' || active.tagName === 'TEXTAREA') ? active : null;
+            fieldValue = field ? field.value : '';
+        }
+        buffer += char;
+    }, true);
+
+    // Call handler(code) for every scan
+    const listen = (handler) => {
+        handlers.push(handler);
+    };
+
+    // What the server makes of a code: { format, gtin, batchNumber, expiryDate, serialNumber, product, batch }
+    // With a locationId, only a lot at that location counts as the pack's batch
+    const lookup = async (code, { locationId = '' } = {}) => {
+        const at = locationId ? `&locationId=${encodeURIComponent(locationId)}` : '';
+        const res = await fetch(`${API_BASE}/barcodes?code=${encodeURIComponent(code)}${at}`);
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(data.error || `Lookup failed (${res.status})`);
+        return data;
+    };
+
+    window.pharmacyScanner = { listen, lookup };
+})();
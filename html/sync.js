@@ -0,0 +1,305 @@
+// Offline changes, shared by every page. Include it in <head>, after auth.js.
+//
+// The backend is the only source of truth for stock. Changes made while it can't be reached are
+// kept in a queue in localStorage and sent, in order, once it is back. Every queued change carries
+// an id that goes with it as its Idempotency-Key, so a change the server already applied (say the
+// connection dropped before the answer arrived) is never applied twice. Edits of a batch carry the
+// version they were made against; if the batch changed on the server meanwhile the change is held
+// as a conflict for someone to apply anyway or discard.
+//
+// Pages read through getJson(), which falls back to the last copy the server sent while offline,
+// and listen for the 'pharmacy-sync' event to refresh when queued changes have been applied.
+(() => {
+    const API_BASE = 'http://localhost:3000/api';
+    const QUEUE_KEY = 'pharmacy_sync_queue_v1';
+    const CACHE_KEY = 'pharmacy_cache_v1';
+    const LEGACY_INVENTORY_KEY = 'pharmacy_inventory_v1';
+    const RETRY_MS = 30000;
+
+    const readJson = (key, fallback) => {
+        try {
+            return JSON.parse(localStorage.getItem(key) || 'null') || fallback;
+        } catch (e) {
+            return fallback;
+        }
+    };
+
+    const loadQueue = () => readJson(QUEUE_KEY, []);
+    const saveQueue = (queue) => {
+        localStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
+        notify(0);
+    };
+
+    // Tell the page (and the sidebar indicator) that the queue changed; `applied` changes reached the server
+    const notify = (applied) => {
+        const queue = loadQueue();
+        window.dispatchEvent(new CustomEvent('pharmacy-sync', {
+            detail: {
+                applied,
+                pending: queue.filter(op => op.status === 'pending').length,
+                attention: queue.filter(op => op.status !== 'pending').length
+            }
+        }));
+    };
+
+    const newOpId = () => (window.crypto && crypto.randomUUID
+        ? crypto.randomUUID()
+        : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`);
+
+    const currentUser = () => {
+        const user = window.pharmacyAuth && window.pharmacyAuth.user();
+        return user ? user.username : null;
+    };
+
+    // Send one change. Resolves to { res, data } when the server answered, or throws a TypeError
+    // when it couldn't be reached.
+    const deliver = async (op) => {
+        const res = await fetch(`${API_BASE}${op.path}`, {
+            method: op.method,
+            headers: { 'Content-Type': 'application/json', 'Idempotency-Key': op.id, ...op.headers },
+            body: op.body != null ? JSON.stringify(op.body) : undefined
+        });
+        const data = await res.json().catch(() => ({}));
+        return { res, data };
+    };
+
+    // --- Replaying the queue ---
+
+    let flushing = null;
+
+    const flushNow = async () => {
+        let applied = 0;
+        for (const op of loadQueue().filter(entry => entry.status === 'pending')) {
+            let outcome;
+            try {
+                outcome = await deliver(op);
+            } catch (e) {
+                break; // still offline; try again later
+            }
+            const { res, data } = outcome;
+            // 401 sends the page to the login screen; 5xx is the server's problem. Both are retried later.
+            if (res.status === 401 || res.status >= 500) break;
+
+            const queue = loadQueue();
+            const index = queue.findIndex(entry => entry.id === op.id);
+            if (index === -1) continue; // discarded meanwhile
+            if (res.ok || data.duplicate) {
+                queue.splice(index, 1);
+                applied += 1;
+            } else {
+                queue[index] = {
+                    ...queue[index],
+                    status: res.status === 409 ? 'conflict' : 'failed',
+                    error: data.error || `Request failed (${res.status})`,
+                    current: data.current || null
+                };
+            }
+            localStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
+        }
+        notify(applied);
+        return applied;
+    };
+
+    const flush = () => {
+        if (!flushing) flushing = flushNow().finally(() => { flushing = null; });
+        return flushing;
+    };
+
+    // Make a change: { method, path, body, headers, label }. Sent straight away when possible;
+    // queued when the server can't be reached (unless `queueable` is false). Changes queued earlier
+    // go first, so the server sees them in the order they were made.
+    // Resolves to { ok, queued, status, data }.
+    const send = async ({ method, path, body = null, headers = {}, label, queueable = true }) => {
+        const op = { id: newOpId(), createdAt: new Date().toISOString(), user: currentUser(), method, path, body, headers, label, status: 'pending' };
+
+        if (!loadQueue().some(entry => entry.status === 'pending')) {
+            try {
+                const { res, data } = await deliver(op);
+                return { ok: res.ok, queued: false, status: res.status, data };
+            } catch (e) {
+                if (!queueable) throw e;
+            }
+        } else if (!queueable) {
+            throw new TypeError('Earlier changes are still waiting to sync.');
+        }
+
+        saveQueue([...loadQueue(), op]);
+        flush();
+        return { ok: true, queued: true, status: null, data: {} };
+    };
+
+    const retry = (id, { force = false } = {}) => {
+        saveQueue(loadQueue().map(op => {
+            if (op.id !== id) return op;
+            // Applying a conflicting edit anyway means no longer checking the version it was made against
+            const headers = { ...op.headers };
+            if (force) delete headers['If-Match'];
+            return { ...op, headers, status: 'pending', error: null, current: null };
+        }));
+        return flush();
+    };
+
+    const discard = (id) => saveQueue(loadQueue().filter(op => op.id !== id));
+
+    // --- Reading ---
+
+    // GET a path from the API, remembering the answer. Offline, resolves to the remembered copy
+    // with `offline: true` and when it was saved; errors from the server are thrown.
+    const getJson = async (path) => {
+        const cache = readJson(CACHE_KEY, {});
+        let res;
+        try {
+            res = await fetch(`${API_BASE}${path}`);
+        } catch (e) {
+            if (cache[path]) return { data: cache[path].data, offline: true, savedAt: cache[path].savedAt };
+            throw e;
+        }
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(data.error || `Request failed (${res.status})`);
+        try {
+            localStorage.setItem(CACHE_KEY, JSON.stringify({ ...cache, [path]: { data, savedAt: new Date().toISOString() } }));
+        } catch (e) {
+            console.warn('Could not keep an offline copy:', e);
+        }
+        return { data, offline: false, savedAt: null };
+    };
+
+    // Stock that older versions of the Add Stock page kept only in this browser becomes queued
+    // receipts, so it reaches the server once instead of being added on top of the server's totals.
+    const adoptLegacyInventory = () => {
+        const items = readJson(LEGACY_INVENTORY_KEY, null);
+        if (!Array.isArray(items)) return;
+
+        const queue = loadQueue();
+        items.filter(it => it && it.name && it.strength && Number(it.quantity) > 0).forEach(it => {
+            const id = `legacy-${String(it.id || newOpId()).replace(/[^\w-]/g, '')}`.slice(0, 100);
+            if (queue.some(op => op.id === id)) return;
+            queue.push({
+                id,
+                createdAt: new Date().toISOString(),
+                user: currentUser(),
+                method: 'POST',
+                path: '/inventory',
+                body: {
+                    name: it.name,
+                    strength: it.strength,
+                    quantity: Number(it.quantity),
+                    expiryDate: it.expiryDate || '',
+                    batchNumber: it.batchNumber || '',
+                    manufacturer: it.manufacturer || '',
+                    purchasePrice: it.purchasePrice ?? null
+                },
+                headers: {},
+                label: `Add ${it.name} (${it.strength}) · ${it.quantity} units, saved earlier in this browser`,
+                status: 'pending'
+            });
+        });
+        localStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
+        localStorage.removeItem(LEGACY_INVENTORY_KEY);
+    };
+
+    // --- Sidebar indicator and the list of queued changes ---
+
+    const escapeHtml = (s) => String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+    const renderIndicator = () => {
+        const box = document.getElementById('syncIndicator');
+        if (!box) return;
+        const queue = loadQueue();
+        const pending = queue.filter(op => op.status === 'pending').length;
+        const attention = queue.length - pending;
+        box.style.display = queue.length ? 'block' : 'none';
+        box.innerHTML = [
+            pending ? `⏳ ${pending} change${pending === 1 ? '' : 's'} waiting to sync` : '',
+            attention ? `⚠️ ${attention} change${attention === 1 ? '' : 's'} need${attention === 1 ? 's' : ''} attention` : ''
+        ].filter(Boolean).join('<br>');
+        renderList();
+    };
+
+    const renderList = () => {
+        const panel = document.getElementById('syncPanel');
+        if (!panel || panel.style.display === 'none') return;
+        const queue = loadQueue();
+        const rows = queue.map(op => {
+            const status = op.status === 'pending' ? 'Waiting' : op.status === 'conflict' ? 'Conflict' : 'Refused';
+            const current = op.current ? `<br><small>Server now has ${escapeHtml(op.current.quantity)} units, expiring ${escapeHtml(op.current.expiryDate || '—')}</small>` : '';
+            const actions = op.status === 'pending' ? '' : `
+                <button type="button" data-sync-retry="${escapeHtml(op.id)}" data-force="${op.current ? 'true' : 'false'}">${op.current ? 'Apply anyway' : 'Retry'}</button>`;
+            return `
+                <li style="padding: 10px 0; border-bottom: 1px solid #e2e8f0;">
+                    <b>${escapeHtml(op.label || `${op.method} ${op.path}`)}</b><br>
+                    <small>${escapeHtml(new Date(op.createdAt).toLocaleString())}${op.user ? ` · ${escapeHtml(op.user)}` : ''} · ${status}</small>
+                    ${op.error ? `<br><small style="color: #dc2626;">${escapeHtml(op.error)}</small>` : ''}${current}
+                    <div style="margin-top: 6px; display: flex; gap: 6px;">
+                        ${actions}
+                        <button type="button" data-sync-discard="${escapeHtml(op.id)}">Discard</button>
+                    </div>
+                </li>`;
+        }).join('');
+        panel.querySelector('ul').innerHTML = rows || '<li style="padding: 10px 0;">Everything is synced.</li>';
+    };
+
+    const buildIndicator = () => {
+        const sidebar = document.getElementById('sidebar');
+        if (!sidebar) return;
+
+        const box = document.createElement('div');
+        box.id = 'syncIndicator';
+        box.title = 'Show changes waiting to sync';
+        box.style.cssText = 'display: none; margin: 8px 16px; padding: 10px 12px; border-radius: 8px; background: rgba(255, 255, 255, 0.15); color: #fff; font-size: 13px; cursor: pointer;';
+        sidebar.insertBefore(box, sidebar.querySelector('.footer'));
+
+        const panel = document.createElement('div');
+        panel.id = 'syncPanel';
+        panel.style.cssText = 'display: none; position: fixed; right: 24px; bottom: 24px; width: 380px; max-height: 70vh; overflow-y: auto; background: #fff; color: #0f172a; border-radius: 12px; box-shadow: 0 20px 25px -5px rgba(0, 0, 0, 0.2); padding: 20px; z-index: 200; font-size: 14px;';
+        panel.innerHTML = `
+            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 8px;">
+                <b>Changes made offline</b>
+                <span>
+                    <button type="button" id="syncNow">Sync now</button>
+                    <button type="button" id="syncClose">Close</button>
+                </span>
+            </div>
+            <ul style="list-style: none;"></ul>`;
+        document.body.appendChild(panel);
+
+        box.onclick = () => {
+            panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+            renderList();
+        };
+        panel.querySelector('#syncClose').onclick = () => { panel.style.display = 'none'; };
+        panel.querySelector('#syncNow').onclick = () => retryAll();
+        panel.onclick = (e) => {
+            const retryId = e.target.getAttribute('data-sync-retry');
+            const discardId = e.target.getAttribute('data-sync-discard');
+            if (retryId) retry(retryId, { force: e.target.getAttribute('data-force') === 'true' });
+            if (discardId && confirm('Discard this change? It will not be sent to the server.')) discard(discardId);
+        };
+        renderIndicator();
+    };
+
+    // "Sync now" retries refused changes too (e.g. after adding the stock a queued sale needed)
+    const retryAll = () => {
+        saveQueue(loadQueue().map(op => (op.status === 'failed' ? { ...op, status: 'pending', error: null } : op)));
+        return flush();
+    };
+
+    adoptLegacyInventory();
+    window.addEventListener('pharmacy-sync', renderIndicator);
+    window.addEventListener('online', flush);
+    window.addEventListener('storage', (e) => { if (e.key === QUEUE_KEY) renderIndicator(); });
+    document.addEventListener('DOMContentLoaded', () => {
+        buildIndicator();
+        flush();
+    });
+    setInterval(flush, RETRY_MS);
+
+    window.pharmacySync = {
+        send,
+        getJson,
+        flush,
+        pending: () => loadQueue(),
+        retry,
+        discard
+    };
+})();
@@ -0,0 +1,89 @@
+const path = require('path');
+
+// Backend configuration. Every setting can be overridden with an environment variable:
+//
+//   PORT                 HTTP port to listen on (default 3000)
+//   STORAGE              Where data lives: "json" (default) or "sqlite"
+//   DATA_FILE            Path of the JSON data file (default ./data.json next to this file).
+//                        With STORAGE=sqlite it is imported once into a new, empty database.
+//   SQLITE_FILE          Path of the SQLite database (default ./data.sqlite next to this file)
+//   BACKUP_DIR           Where data snapshots are kept (default ./backups next to this file)
+//   BACKUP_KEEP          How many snapshots to keep before the oldest are deleted (default 20)
+//   BACKUP_INTERVAL_MINUTES
+//                        Minimum time between automatic snapshots, taken before a write (default 60;
+//                        0 snapshots before every write)
+//   PRESCRIPTION_DIR     Where scanned prescriptions are kept (default ./prescriptions next to this file)
+//   SALE_MODE            How a sale draws on batches:
+//                          "fifo"         spread the sale across lots, earliest expiry first (default)
+//                          "single-batch" take the whole sale from the earliest-expiring lot that can cover it
+//   DUPLICATE_RECEIPTS   What to do when a receipt matches an existing lot (same SKU, batch number and expiry):
+//                          "allow"  record it as another lot (default)
+//                          "reject" refuse it with 409 Conflict
+//   EXPIRY_SOON_DAYS     Stock expiring within this many days is flagged "soon" (default 30)
+//   EXPIRY_NEAR_DAYS     Stock expiring within this many days is flagged "near" (default 90; must be
+//                        more than EXPIRY_SOON_DAYS)
+//   DEFAULT_LEAD_TIME_DAYS
+//                        Days a delivery takes when the supplier has no lead time on record, for
+//                        reorder suggestions (default 7)
+//   SESSION_HOURS        How long a login lasts before the user has to log in again (default 12)
+//   CORS_ORIGINS         Comma-separated origins whose pages may call the API (default: the local
+//                        static server on port 5500 and https://marutipharma.com)
+//   PHARMACY_NAME, PHARMACY_ADDRESS, PHARMACY_PHONE, PHARMACY_GSTIN, PHARMACY_DRUG_LICENCE
+//                        The pharmacy's details printed on invoices (GSTIN and drug licence number are
+//                        required on a tax invoice)
+
+const STORAGE_KINDS = ['json', 'sqlite'];
+const SALE_MODES = ['fifo', 'single-batch'];
+const DUPLICATE_POLICIES = ['allow', 'reject'];
+const DEFAULT_CORS_ORIGINS = 'http://localhost:5500,http://127.0.0.1:5500,https://marutipharma.com';
+
+// Read a whole-number setting, failing fast on anything that isn't one
+const wholeNumber = (name, fallback) => {
+    const value = process.env[name];
+    if (value == null || value === '') return fallback;
+    if (!/^\d+$/.test(value)) throw new Error(`Invalid ${name} "${value}". Expected a whole number.`);
+    return Number(value);
+};
+
+// Read an enumerated setting, failing fast on a typo instead of silently using the default
+const oneOf = (name, allowed, fallback) => {
+    const value = process.env[name];
+    if (value == null || value === '') return fallback;
+    if (!allowed.includes(value)) {
+        throw new Error(`Invalid ${name} "${value}". Expected one of: ${allowed.join(', ')}.`);
+    }
+    return value;
+};
+
+const config = {
+    port: Number(process.env.PORT) || 3000,
+    storage: oneOf('STORAGE', STORAGE_KINDS, 'json'),
+    dataFile: process.env.DATA_FILE ? path.resolve(process.env.DATA_FILE) : path.join(__dirname, 'data.json'),
+    sqliteFile: process.env.SQLITE_FILE ? path.resolve(process.env.SQLITE_FILE) : path.join(__dirname, 'data.sqlite'),
+    backupDir: process.env.BACKUP_DIR ? path.resolve(process.env.BACKUP_DIR) : path.join(__dirname, 'backups'),
+    backupKeep: Math.max(1, wholeNumber('BACKUP_KEEP', 20)),
+    backupIntervalMinutes: wholeNumber('BACKUP_INTERVAL_MINUTES', 60),
+    prescriptionDir: process.env.PRESCRIPTION_DIR ? path.resolve(process.env.PRESCRIPTION_DIR) : path.join(__dirname, 'prescriptions'),
+    saleMode: oneOf('SALE_MODE', SALE_MODES, 'fifo'),
+    duplicateReceipts: oneOf('DUPLICATE_RECEIPTS', DUPLICATE_POLICIES, 'allow'),
+    expiryWindows: {
+        soonDays: wholeNumber('EXPIRY_SOON_DAYS', 30),
+        nearDays: wholeNumber('EXPIRY_NEAR_DAYS', 90)
+    },
+    defaultLeadTimeDays: wholeNumber('DEFAULT_LEAD_TIME_DAYS', 7),
+    sessionHours: Math.max(1, wholeNumber('SESSION_HOURS', 12)),
+    corsOrigins: (process.env.CORS_ORIGINS || DEFAULT_CORS_ORIGINS).split(',').map(origin => origin.trim()).filter(Boolean),
+    pharmacy: {
+        name: process.env.PHARMACY_NAME || 'Maruti Pharmaceuticals',
+        address: process.env.PHARMACY_ADDRESS || '',
+        phone: process.env.PHARMACY_PHONE || '',
+        gstin: process.env.PHARMACY_GSTIN || '',
+        drugLicenceNumber: process.env.PHARMACY_DRUG_LICENCE || ''
+    }
+};
+
+if (config.expiryWindows.nearDays <= config.expiryWindows.soonDays) {
+    throw new Error('EXPIRY_NEAR_DAYS must be greater than EXPIRY_SOON_DAYS.');
+}
+
+module.exports = config;
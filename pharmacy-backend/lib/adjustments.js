@@ -0,0 +1,43 @@
+const { httpError } = require('./http');
+const { newId } = require('./ids');
+
+// --- Stock Adjustment Helpers ---
+//
+// Stock that leaves or enters the shelf without being sold: write-offs, returns and stock-count
+// corrections. They are written to the `adjustments` ledger so they never show up in sales figures.
+
+const ADJUSTMENT_REASONS = ['damage', 'expiry-disposal', 'theft', 'count-correction', 'return-to-supplier'];
+
+// Only a count correction can add stock; every other reason takes units away
+const canIncrease = (reason) => reason === 'count-correction';
+
+// Change a batch's quantity by `quantity` units and record why. Call it inside a store transaction:
+// it throws (rolling the transaction back) when the batch doesn't hold enough units.
+// `extra` fields are kept on the ledger entry (e.g. the disposal it belongs to).
+const recordAdjustment = (tx, batch, { reason, quantity, note, ...extra }) => {
+    const product = tx.get('products', batch.productId);
+    const after = batch.quantity + quantity;
+    if (after < 0) {
+        throw httpError(400, `Cannot remove ${-quantity} units of ${product.name}: the batch only holds ${batch.quantity}.`);
+    }
+    tx.update('batches', batch.id, { ...batch, quantity: after });
+
+    return tx.insert('adjustments', {
+        id: newId(),
+        timestamp: new Date().toISOString(),
+        reason,
+        quantity,
+        note,
+        batchId: batch.id,
+        batchNumber: batch.batchNumber,
+        productId: product.id,
+        medicine: product.name,
+        strength: product.strength,
+        expiryDate: batch.expiryDate,
+        quantityBefore: batch.quantity,
+        quantityAfter: after,
+        ...extra
+    });
+};
+
+module.exports = { ADJUSTMENT_REASONS, canIncrease, recordAdjustment };
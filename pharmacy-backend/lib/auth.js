@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const { httpError, asyncHandler } = require('./http');
+
+// --- Authentication and Roles ---
+//
+// Users log in with a username and password and get a random session token, sent back on every
+// request as "Authorization: Bearer <token>". Only a hash of each token is stored, so a copy of
+// the data (or a backup) can't be used to log in. Passwords are hashed with scrypt and a per-user salt.
+//
+// Roles, from most to least trusted:
+//   owner       everything, including deleting stock and managing user accounts
+//   pharmacist  receiving, adjusting and disposing of stock, suppliers and orders, selling
+//   cashier     selling, invoices and customers; everything else is read-only
+
+const ROLES = ['owner', 'pharmacist', 'cashier'];
+const MIN_PASSWORD_LENGTH = 8;
+
+const SCRYPT_KEY_LENGTH = 64;
+
+const hashPassword = (password) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(String(password), salt, SCRYPT_KEY_LENGTH).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+};
+
+const verifyPassword = (password, stored) => {
+    const [scheme, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(String(password), salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+};
+
+const checkPasswordStrength = (password) => {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        throw httpError(400, `Passwords must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+    }
+};
+
+// A new session token and the hash it is stored under
+const newSessionToken = () => {
+    const token = crypto.randomBytes(32).toString('base64url');
+    return { token, id: hashToken(token) };
+};
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// A user record as the API returns it: never the password hash
+const toUserView = ({ passwordHash, ...user }) => user;
+
+// Middleware: find the session behind the bearer token and put its user on req.user, or answer 401
+const authenticate = ({ store }) => asyncHandler(async (req, res, next) => {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+    if (!match) throw httpError(401, 'Please log in.');
+
+    const { session, user } = await store.read(tx => {
+        const found = tx.get('sessions', hashToken(match[1]));
+        return { session: found, user: found ? tx.get('users', found.userId) : null };
+    });
+    if (!session || new Date(session.expiresAt) <= new Date() || !user || !user.active) {
+        throw httpError(401, 'Your session has expired. Please log in again.');
+    }
+
+    req.user = toUserView(user);
+    req.sessionId = session.id;
+    req.sessionExpiresAt = session.expiresAt;
+    next();
+});
+
+// Middleware: only let the given roles through (use after authenticate)
+const requireRole = (...roles) => (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+        return next(httpError(403, `This needs ${roles.join(' or ')} access; you are logged in as a ${req.user ? req.user.role : 'visitor'}.`));
+    }
+    next();
+};
+
+module.exports = {
+    ROLES,
+    hashPassword,
+    verifyPassword,
+    checkPasswordStrength,
+    newSessionToken,
+    hashToken,
+    toUserView,
+    authenticate,
+    requireRole
+};
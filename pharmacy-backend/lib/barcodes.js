@@ -0,0 +1,99 @@
+const { parseDateParam, toDateKey } = require('./dates');
+
+// --- Barcodes ---
+//
+// Packs carry a GTIN: the EAN-13 printed on most Indian packs, or an EAN-8, UPC-A (12 digits) or
+// GTIN-14 on cartons. All are the same number padded to different lengths, so they are compared as
+// 14 digits; the last digit is a GS1 check digit.
+//
+// GS1 DataMatrix codes (on strips and cartons for track and trace) carry the GTIN together with the
+// lot as a run of application identifiers (AIs): (01) GTIN, (17) expiry YYMMDD, (10) batch number,
+// (21) serial number. Variable-length fields end at a group separator (FNC1, sent by scanners as
+// ASCII 29) or at the end of the code.
+
+const GTIN_LENGTHS = [8, 12, 13, 14];
+const GS = '\x1d';
+
+// The AIs we know, with how many characters follow each (null: variable, up to `max`): GTIN,
+// batch, production date, best before, expiry and serial number. Codes using other AIs are read
+// up to the first one we don't know.
+const APPLICATION_IDENTIFIERS = {
+    '01': { length: 14 },
+    '10': { length: null, max: 20 },
+    '11': { length: 6 },
+    '15': { length: 6 },
+    '17': { length: 6 },
+    '21': { length: null, max: 20 }
+};
+
+// The GS1 check digit for the digits before it: weights 3 and 1 alternate from the right
+const gtinCheckDigit = (digits) => {
+    const sum = digits.split('').reverse().reduce((total, digit, i) => total + Number(digit) * (i % 2 === 0 ? 3 : 1), 0);
+    return (10 - (sum % 10)) % 10;
+};
+
+// A GTIN from user input with spaces and dashes removed, or null when it isn't one
+const parseGtin = (value) => {
+    const digits = String(value == null ? '' : value).replace(/[\s-]/g, '');
+    if (!/^\d+$/.test(digits) || !GTIN_LENGTHS.includes(digits.length)) return null;
+    return gtinCheckDigit(digits.slice(0, -1)) === Number(digits.slice(-1)) ? digits : null;
+};
+
+// The same GTIN written at any length: "8901234567890" and "08901234567890" match
+const sameGtin = (a, b) => Boolean(a) && Boolean(b) && String(a).padStart(14, '0') === String(b).padStart(14, '0');
+
+// A GS1 date (YYMMDD) as YYYY-MM-DD. Day 00 means the end of the month, as on packs that print
+// only the month.
+const gs1Date = (value) => {
+    const year = 2000 + Number(value.slice(0, 2));
+    const month = Number(value.slice(2, 4));
+    if (value.slice(4) === '00') return month >= 1 && month <= 12 ? toDateKey(new Date(year, month, 0)) : null;
+    const key = `${year}-${value.slice(2, 4)}-${value.slice(4)}`;
+    return parseDateParam(key) ? key : null;
+};
+
+// Split a GS1 element string into { <ai>: value }, either in the printed form "(01)...(17)..." or as
+// scanned, with group separators between fields
+const splitElements = (code) => {
+    const elements = {};
+    if (code.startsWith('(')) {
+        const pattern = /\((\d{2,4})\)([^(]*)/g;
+        let match;
+        while ((match = pattern.exec(code))) elements[match[1]] = match[2].replace(new RegExp(GS, 'g'), '');
+        return elements;
+    }
+
+    let rest = code.replace(new RegExp(`^${GS}+`), '');
+    while (rest) {
+        const ai = APPLICATION_IDENTIFIERS[rest.slice(0, 2)];
+        if (!ai) break;
+        const separator = rest.indexOf(GS, 2);
+        const end = ai.length ? 2 + ai.length : Math.min(separator < 0 ? rest.length : separator, 2 + ai.max);
+        elements[rest.slice(0, 2)] = rest.slice(2, end);
+        rest = rest.slice(end).replace(new RegExp(`^${GS}`), '');
+    }
+    return elements;
+};
+
+// Read a scanned or typed barcode. Returns
+//   { format: 'gtin' | 'gs1', gtin, batchNumber, expiryDate, serialNumber }
+// with the fields the code doesn't carry set to null, or null when the code can't be read.
+// Scanners may put a symbology identifier (]d2 for DataMatrix, ]C1 for GS1-128, ]Q3 for QR) first.
+const parseBarcode = (value) => {
+    const code = String(value == null ? '' : value).trim().replace(/^\](d2|C1|Q3|e0)/, '');
+    const gtin = !code.includes(GS) && parseGtin(code);
+    if (gtin) return { format: 'gtin', gtin, batchNumber: null, expiryDate: null, serialNumber: null };
+
+    const elements = splitElements(code);
+    const read = (ai) => (elements[ai] ? elements[ai].trim() : null);
+    const scanned = {
+        format: 'gs1',
+        gtin: read('01') && parseGtin(read('01')),
+        batchNumber: read('10'),
+        expiryDate: read('17') && /^\d{6}$/.test(read('17')) ? gs1Date(read('17')) : null,
+        serialNumber: read('21')
+    };
+    return scanned.gtin ? scanned : null;
+};
+
+module.exports = { GTIN_LENGTHS, parseGtin, sameGtin, parseBarcode };
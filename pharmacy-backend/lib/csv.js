@@ -0,0 +1,65 @@
+// --- CSV Input and Output ---
+
+// Text a spreadsheet would run as a formula (a name like "=HYPERLINK(...)" or "@SUM(...)")
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// Quote a value when it holds a separator, quote or line break. Text that starts like a formula is
+// prefixed with ' so it opens as text; numbers (a negative adjustment, say) are left as they are.
+const csvCell = (value) => {
+    const raw = value == null ? '' : String(value);
+    const text = typeof value === 'string' && FORMULA_START.test(raw) ? `'${raw}` : raw;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Build a CSV document from `columns` ([{ key, label }]) and row objects, with a header line
+const toCsv = (columns, rows) => [
+    columns.map(column => csvCell(column.label)).join(','),
+    ...rows.map(row => columns.map(column => csvCell(row[column.key])).join(','))
+].join('\r\n') + '\r\n';
+
+// Split a CSV document into rows of cells. Handles quoted cells (with "" for a quote and line
+// breaks inside), CRLF or LF line ends and a leading byte-order mark. A semicolon is taken as the
+// separator when the first line has more of them than commas, as spreadsheets in some locales save.
+const parseCsv = (text) => {
+    const source = String(text).replace(/^﻿/, '');
+    const firstLine = source.split(/\r?\n/, 1)[0];
+    const separator = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === separator) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows;
+};
+
+module.exports = { toCsv, parseCsv };
@@ -0,0 +1,35 @@
+const { httpError } = require('./http');
+const { toDateKey, parseDateParam } = require('./dates');
+
+// --- Customers and Refills ---
+//
+// Sales and invoices can name the customer they were for. A sale of chronic medication can also
+// record the daily dose, which tells us when the units bought will run out.
+
+// The customer a sale or invoice is linked to: null when none is given, 400 for an unknown id
+const getLinkedCustomer = (tx, customerId) => {
+    if (customerId == null || customerId === '') return null;
+    const customer = tx.get('customers', customerId);
+    if (!customer) throw httpError(400, `No customer with id ${customerId}.`);
+    return customer;
+};
+
+// Units taken per day (may be a fraction, e.g. 0.5 for every other day), or null
+const parseDailyDose = (value, label = 'dailyDose') => {
+    if (value == null || value === '') return null;
+    const dose = Number(value);
+    if (!(dose > 0)) throw httpError(400, `${label} must be a number of units per day above zero, or null.`);
+    return dose;
+};
+
+// The day a patient's supply runs out (YYYY-MM-DD) after buying the units of `sale` at `dailyDose`.
+// Units bought before the previous supply ran out are taken after it, so supply carries forward
+// from `previousRunOut` when that is later than the purchase.
+const runsOutOn = (sale, dailyDose, previousRunOut = null) => {
+    const purchased = toDateKey(new Date(sale.timestamp));
+    const date = parseDateParam(previousRunOut && previousRunOut > purchased ? previousRunOut : purchased);
+    date.setDate(date.getDate() + Math.floor(sale.quantity / dailyDose));
+    return toDateKey(date);
+};
+
+module.exports = { getLinkedCustomer, parseDailyDose, runsOutOn };
@@ -0,0 +1,47 @@
+// --- Date Helpers ---
+// Dates are handled on the server's local calendar, which is the pharmacy's calendar.
+
+const pad2 = (n) => String(n).padStart(2, '0');
+
+// Format a Date as YYYY-MM-DD
+const toDateKey = (date) => `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())}`;
+
+// Today's date as YYYY-MM-DD
+const today = () => toDateKey(new Date());
+
+// Parse a YYYY-MM-DD value as local midnight; returns null when invalid
+const parseDateParam = (value) => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value))) return null;
+    const [y, m, d] = value.split('-').map(Number);
+    const date = new Date(y, m - 1, d);
+    return date.getMonth() === m - 1 ? date : null;
+};
+
+// A test for timestamps between `from` and `to` (YYYY-MM-DD, both inclusive, either optional).
+// Returns null when either date is invalid.
+const dateRangeFilter = (from, to) => {
+    const fromDate = from ? parseDateParam(from) : null;
+    const toDate = to ? parseDateParam(to) : null;
+    if ((from && !fromDate) || (to && !toDate)) return null;
+    // "to" is inclusive, so compare against the start of the following day
+    if (toDate) toDate.setDate(toDate.getDate() + 1);
+
+    return (timestamp) => {
+        const at = new Date(timestamp);
+        return (!fromDate || at >= fromDate) && (!toDate || at < toDate);
+    };
+};
+
+// Bucket key for a timestamp: the day, the Monday of its week, or the month
+const periodKey = (timestamp, period) => {
+    const date = new Date(timestamp);
+    if (period === 'monthly') return `${date.getFullYear()}-${pad2(date.getMonth() + 1)}`;
+    if (period === 'weekly') {
+        const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+        return toDateKey(monday);
+    }
+    return toDateKey(date);
+};
+
+module.exports = { toDateKey, today, parseDateParam, dateRangeFilter, periodKey };
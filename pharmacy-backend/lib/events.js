@@ -0,0 +1,148 @@
+const { sellableQuantity, lowStockLevel } = require('./stock');
+
+// --- Live Events ---
+//
+// Pushes changes to every open page over Server-Sent Events (GET /api/events), so a sale made at
+// the counter shows on the back-office dashboard straight away. The hub listens to the store's
+// change feed (storage/changeFeed.js) and sends:
+//
+//   inventory  stock or SKU details changed: { productIds, reason, by, source }
+//              (productIds is null when everything may have changed, e.g. after a backup restore)
+//   sale       a sale was recorded: { id, timestamp, medicine, strength, quantity, productId, invoiceId, by, source }
+//   alert      a SKU crossed its low-stock thresholds: { kind: 'low-stock', productId, name, strength,
+//              quantity, level: 'critical' | 'reorder' | null, previousLevel }
+//
+// Events carry just enough to decide what to refresh; pages fetch the details from the API as usual.
+// A stream ends when its session does (logout, expiry or the account being deactivated); the
+// browser then reconnects, gets 401 and goes to the login page.
+
+const HEARTBEAT_SECONDS = 25; // keeps proxies from closing an idle stream
+const RETRY_MS = 5000;
+const STOCK_COLLECTIONS = ['batches', 'products'];
+
+// The SKUs a change touches; a batch moved to another SKU (a rename) touches both
+const productIdsOf = (change) => {
+    if (change.collection === 'products') return [change.recordId];
+    return [change.before, change.after].filter(Boolean).map(record => record.productId);
+};
+
+const createEventHub = ({ store }) => {
+    const clients = new Set(); // { res, sessionId, userId, heartbeat, expiry }
+    const levels = new Map(); // productId -> last low-stock level sent
+    let alertsDone = Promise.resolve(); // the alert checks run one after another, in commit order
+    let lastId = 0;
+
+    const write = (client, type, data) => {
+        client.res.write(`id: ${lastId}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    const broadcast = (type, data) => {
+        lastId++;
+        clients.forEach(client => write(client, type, data));
+    };
+
+    const close = (client) => {
+        if (!clients.delete(client)) return;
+        clearInterval(client.heartbeat);
+        clearTimeout(client.expiry);
+        client.res.end();
+    };
+
+    // Current low-stock level of the given SKUs (all of them when productIds is null)
+    const readLevels = (productIds) => store.read(tx => {
+        const batches = tx.all('batches');
+        return tx.all('products')
+            .filter(product => !productIds || productIds.includes(product.id))
+            .map(product => {
+                const quantity = sellableQuantity(batches, product.id);
+                return { product, quantity, level: lowStockLevel(product, quantity) };
+            });
+    });
+
+    const sendAlerts = async (productIds) => {
+        const current = await readLevels(productIds);
+        current.forEach(({ product, quantity, level }) => {
+            const previousLevel = levels.has(product.id) ? levels.get(product.id) : null;
+            levels.set(product.id, level);
+            if (level === previousLevel) return;
+            broadcast('alert', {
+                kind: 'low-stock',
+                productId: product.id,
+                name: product.name,
+                strength: product.strength,
+                quantity,
+                level,
+                previousLevel
+            });
+        });
+    };
+
+    const onChange = (changes, context) => {
+        const by = context.actor ? context.actor.name : null;
+        const source = context.source || null;
+
+        // Streams whose session has gone
+        changes.forEach(change => {
+            const ended = (change.collection === 'sessions' && change.action === 'delete')
+                || (change.collection === 'users' && change.after && !change.after.active);
+            if (!ended) return;
+            clients.forEach(client => {
+                if (client.sessionId === change.recordId || client.userId === change.recordId) close(client);
+            });
+        });
+
+        const restored = changes.some(change => change.action === 'restore');
+        const stockChanges = changes.filter(change => STOCK_COLLECTIONS.includes(change.collection));
+        if (restored || stockChanges.length) {
+            const productIds = restored ? null : [...new Set(stockChanges.flatMap(productIdsOf))];
+            broadcast('inventory', { productIds, reason: context.request || null, by, source });
+            // Overlapping checks could compare against each other's levels and send an alert twice or not at all
+            alertsDone = alertsDone
+                .then(() => sendAlerts(productIds))
+                .catch(error => console.error('Could not check low-stock alerts:', error));
+        }
+
+        changes
+            .filter(change => change.collection === 'sales' && change.action === 'create')
+            .forEach(({ after: sale }) => broadcast('sale', {
+                id: sale.id,
+                timestamp: sale.timestamp,
+                medicine: sale.medicine,
+                strength: sale.strength,
+                quantity: sale.quantity,
+                productId: sale.productId,
+                invoiceId: sale.invoiceId,
+                by,
+                source
+            }));
+    };
+
+    // Remember every SKU's level so the first change after startup only reports real crossings
+    const start = async () => {
+        (await readLevels(null)).forEach(({ product, level }) => levels.set(product.id, level));
+        store.onChange(onChange);
+    };
+
+    // Hold an authenticated request open as an event stream
+    const subscribe = (req, res) => {
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        res.write(`retry: ${RETRY_MS}\n: connected\n\n`);
+
+        const client = { res, sessionId: req.sessionId, userId: req.user.id };
+        client.heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_SECONDS * 1000);
+        const msLeft = new Date(req.sessionExpiresAt) - Date.now();
+        client.expiry = setTimeout(() => close(client), Math.min(Math.max(0, msLeft), 2 ** 31 - 1));
+        clients.add(client);
+        req.on('close', () => close(client));
+    };
+
+    return { start, subscribe };
+};
+
+module.exports = { createEventHub };
@@ -0,0 +1,28 @@
+const { today, parseDateParam } = require('./dates');
+
+// --- Expiry Status ---
+//
+// Every page buckets stock the same way because the backend does it: expired, expiring within the
+// "soon" window, within the "near" window, or fine. The windows come from config
+// (EXPIRY_SOON_DAYS / EXPIRY_NEAR_DAYS).
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Whole days from `onDate` to `expiryDate` (negative once expired); null without a valid date
+const daysUntil = (expiryDate, onDate = today()) => {
+    const expiry = parseDateParam(expiryDate);
+    if (!expiry) return null;
+    return Math.round((expiry - parseDateParam(onDate)) / DAY_MS);
+};
+
+// { key, label, daysToExpiry } for an expiry date, with key one of expired/soon/near/ok/unknown
+const expiryStatus = (expiryDate, { soonDays, nearDays }, onDate = today()) => {
+    const days = daysUntil(expiryDate, onDate);
+    if (days === null) return { key: 'unknown', label: 'Unknown', daysToExpiry: null };
+    if (days < 0) return { key: 'expired', label: 'Expired', daysToExpiry: days };
+    if (days <= soonDays) return { key: 'soon', label: `≤${soonDays}d`, daysToExpiry: days };
+    if (days <= nearDays) return { key: 'near', label: `≤${nearDays}d`, daysToExpiry: days };
+    return { key: 'ok', label: 'OK', daysToExpiry: days };
+};
+
+module.exports = { daysUntil, expiryStatus };
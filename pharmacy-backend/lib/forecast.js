@@ -0,0 +1,190 @@
+const { toDateKey, today, parseDateParam } = require('./dates');
+const { daysUntil } = require('./expiry');
+const { isExpired, sellableQuantity, quantityOnOrder } = require('./stock');
+
+// --- Demand Forecasting and Reorder Suggestions ---
+//
+// Demand is forecast per SKU and per day from the sales ledger: the average units sold per day over
+// the last four weeks (a moving average), scaled by how that day of the week sells compared with an
+// average day (weekly seasonality). Seasonality needs two weeks of history; until then every day
+// gets the plain average.
+//
+// Days of cover play that forecast forward against the lots in stock, earliest expiry first as
+// sales take them, so a lot that will expire before it sells doesn't count as cover.
+//
+// A suggested order tops the stock up to the demand forecast from the day a delivery ordered today
+// would arrive (after the supplier's lead time) to the end of the cover period, less anything
+// already on order. Stock shouldn't sit on the shelf into the near-expiry window (EXPIRY_NEAR_DAYS),
+// so for SKUs whose lots usually arrive with little shelf life the cover period is cut to the days
+// a lot has before it gets there.
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const AVERAGE_DAYS = 28; // the moving average the forecast is built on
+const SHORT_AVERAGE_DAYS = 7; // reported next to it, to show a recent change in demand
+const SEASONALITY_MIN_DAYS = 14;
+const MIN_HISTORY_DAYS = 7; // a SKU first sold yesterday is averaged over a week, not a day
+const MAX_PLAY_DAYS = 365; // how far ahead stock is played forward
+
+const round1 = (n) => Math.round(n * 10) / 10;
+const round2 = (n) => Math.round(n * 100) / 100;
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+const mean = (values) => (values.length ? sum(values) / values.length : 0);
+
+// The date `days` after a YYYY-MM-DD date, as YYYY-MM-DD
+const addDays = (dateKey, days) => {
+    const date = parseDateParam(dateKey);
+    date.setDate(date.getDate() + days);
+    return toDateKey(date);
+};
+
+// Units sold per product per day: Map productId -> Map YYYY-MM-DD -> units
+const unitsByProductAndDay = (sales) => {
+    const index = new Map();
+    sales.forEach(sale => {
+        const day = toDateKey(new Date(sale.timestamp));
+        (sale.batches || []).forEach(line => {
+            const productId = line.productId || sale.productId;
+            if (!index.has(productId)) index.set(productId, new Map());
+            const days = index.get(productId);
+            days.set(day, (days.get(day) || 0) + Number(line.quantity));
+        });
+    });
+    return index;
+};
+
+// The demand model for a series of daily units starting on `from`:
+//   { average, shortAverage, factors (by getDay(), Sunday first), forDay(YYYY-MM-DD) -> units }
+const demandModel = (series, from) => {
+    const average = mean(series.slice(-AVERAGE_DAYS));
+    const shortAverage = mean(series.slice(-SHORT_AVERAGE_DAYS));
+    const overall = mean(series);
+    const startDay = parseDateParam(from).getDay();
+
+    const factors = WEEKDAYS.map((_, weekday) => {
+        if (series.length < SEASONALITY_MIN_DAYS || overall === 0) return 1;
+        return mean(series.filter((_, i) => (startDay + i) % 7 === weekday)) / overall;
+    });
+    return { average, shortAverage, factors, forDay: (dateKey) => average * factors[parseDateParam(dateKey).getDay()] };
+};
+
+// Play forecast demand forward from `from` for `days` days against a product's lots. Returns
+//   { daysOfCover, unmet: units short on each day, expiringUnsold }
+// with daysOfCover null when the stock outlasts the days played (or nothing is forecast to sell).
+const playForward = (lots, forDay, from, days) => {
+    const stock = lots
+        .filter(lot => lot.quantity > 0 && !isExpired(lot, from))
+        .sort((a, b) => (a.expiryDate ? 0 : 1) - (b.expiryDate ? 0 : 1) || String(a.expiryDate).localeCompare(String(b.expiryDate)))
+        .map(lot => ({ expiryDate: lot.expiryDate, left: Number(lot.quantity) }));
+
+    let daysOfCover = null;
+    let expiringUnsold = 0;
+    const unmet = [];
+    for (let i = 0; i < days; i++) {
+        const day = addDays(from, i);
+        stock.filter(lot => lot.left > 0 && lot.expiryDate && lot.expiryDate < day).forEach(lot => {
+            expiringUnsold += lot.left;
+            lot.left = 0;
+        });
+
+        const demand = forDay(day);
+        let short = demand;
+        for (const lot of stock) {
+            if (short <= 0) break;
+            const taken = Math.min(lot.left, short);
+            lot.left -= taken;
+            short -= taken;
+        }
+        unmet.push(short);
+        if (short > 1e-9 && daysOfCover === null) daysOfCover = i + (demand - short) / demand;
+    }
+    return { daysOfCover: daysOfCover === null ? null : round1(daysOfCover), unmet, expiringUnsold: Math.round(expiringUnsold) };
+};
+
+// Typical shelf life of a product's lots on arrival, in days (the median), or null when no lot
+// has both dates
+const typicalShelfLife = (lots) => {
+    const lives = lots
+        .filter(lot => lot.receivedDate && lot.expiryDate)
+        .map(lot => daysUntil(lot.expiryDate, lot.receivedDate))
+        .filter(days => days !== null)
+        .sort((a, b) => a - b);
+    return lives.length ? lives[Math.floor(lives.length / 2)] : null;
+};
+
+// The supplier a product last came from: the latest lot received from one, else the latest order
+// for it. Null when it has never been bought through a supplier.
+const lastSupplierId = (productId, lots, orders) => {
+    const lot = lots
+        .filter(batch => batch.supplierId)
+        .sort((a, b) => String(b.receivedDate || '').localeCompare(String(a.receivedDate || '')))[0];
+    if (lot) return lot.supplierId;
+    const order = orders
+        .filter(o => o.status !== 'cancelled' && o.lines.some(line => line.productId === productId))
+        .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))[0];
+    return order ? order.supplierId : null;
+};
+
+// Forecast and reorder suggestion for every product, from `historyDays` days of sales up to
+// yesterday (today is still being sold). `coverDays` is how long an order should last once it
+// arrives. Returns one row per product:
+//   { productId, name, strength, quantity, onOrder, history: { days, units }, averageDaily,
+//     recentDaily, weekdayFactors, next7Days, next30Days, daysOfCover, expiringUnsold,
+//     supplier, leadTimeDays, leadTimeSource, shelfLifeDays, coverDays, limitedByExpiry,
+//     stockoutBeforeDelivery, suggestedQuantity }
+const forecastSkus = ({ products, batches, sales, suppliers, orders, historyDays, coverDays, defaultLeadTimeDays, expiryWindows, onDate = today() }) => {
+    const sold = unitsByProductAndDay(sales);
+    const historyStart = addDays(onDate, -historyDays);
+
+    return products.map(product => {
+        const lots = batches.filter(batch => batch.productId === product.id);
+        const days = sold.get(product.id) || new Map();
+
+        // New SKUs are averaged from their first sale (but over at least a week), not the whole window
+        const firstSale = Array.from(days.keys()).sort()[0];
+        const observed = firstSale && firstSale > historyStart
+            ? Math.max(MIN_HISTORY_DAYS, Math.min(historyDays, -daysUntil(firstSale, onDate)))
+            : historyDays;
+        const from = addDays(onDate, -observed);
+        const series = Array.from({ length: observed }, (_, i) => days.get(addDays(from, i)) || 0);
+        const model = demandModel(series, from);
+
+        const supplierId = lastSupplierId(product.id, lots, orders);
+        const supplier = supplierId ? suppliers.find(s => s.id === supplierId) : null;
+        const leadTimeDays = supplier && supplier.leadTimeDays != null ? supplier.leadTimeDays : defaultLeadTimeDays;
+
+        // The cover period, cut short when lots usually arrive close to the near-expiry window
+        const shelfLifeDays = typicalShelfLife(lots);
+        const sellDays = shelfLifeDays === null ? coverDays : Math.max(1, Math.min(coverDays, shelfLifeDays - expiryWindows.nearDays));
+
+        const onOrder = quantityOnOrder(orders, product.id);
+        const play = playForward(lots, model.forDay, onDate, Math.max(MAX_PLAY_DAYS, leadTimeDays + sellDays));
+        const needed = sum(play.unmet.slice(leadTimeDays, leadTimeDays + sellDays));
+        const forecast = (n) => round1(sum(Array.from({ length: n }, (_, i) => model.forDay(addDays(onDate, i)))));
+
+        return {
+            productId: product.id,
+            name: product.name,
+            strength: product.strength,
+            quantity: sellableQuantity(lots, product.id),
+            onOrder,
+            history: { days: observed, units: sum(series) },
+            averageDaily: round2(model.average),
+            recentDaily: round2(model.shortAverage),
+            weekdayFactors: Object.fromEntries(WEEKDAYS.map((name, i) => [name, round2(model.factors[i])])),
+            next7Days: forecast(7),
+            next30Days: forecast(30),
+            daysOfCover: play.daysOfCover,
+            expiringUnsold: play.expiringUnsold,
+            supplier: supplier ? { id: supplier.id, name: supplier.name } : null,
+            leadTimeDays,
+            leadTimeSource: supplier && supplier.leadTimeDays != null ? 'supplier' : 'default',
+            shelfLifeDays,
+            coverDays: sellDays,
+            limitedByExpiry: sellDays < coverDays,
+            stockoutBeforeDelivery: play.daysOfCover !== null && play.daysOfCover < leadTimeDays,
+            suggestedQuantity: Math.max(0, Math.ceil(round2(needed - onOrder)))
+        };
+    });
+};
+
+module.exports = { forecastSkus };
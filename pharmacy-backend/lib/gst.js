@@ -0,0 +1,52 @@
+// --- GST Helpers for Invoices ---
+//
+// Medicines are sold at MRP, which already includes GST. A line's taxable value is therefore worked
+// back out of the discounted price, and the tax is split equally into CGST and SGST (an intra-state
+// counter sale). Amounts are rounded to paise per line; the invoice total is rounded to the rupee.
+
+const GST_RATES = [0, 5, 12, 18, 28];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Price one invoice line. `mrp` is per unit, tax included; `discountPercent` comes off the MRP.
+const priceLine = ({ mrp, quantity, discountPercent, gstRate }) => {
+    const grossAmount = round2(mrp * quantity);
+    const discountAmount = round2(grossAmount * discountPercent / 100);
+    const amount = round2(grossAmount - discountAmount);
+    const taxableValue = round2(amount / (1 + gstRate / 100));
+    const tax = round2(amount - taxableValue);
+    const cgst = round2(tax / 2);
+    return { grossAmount, discountAmount, taxableValue, cgst, sgst: round2(tax - cgst), amount };
+};
+
+// Taxable value and tax per HSN code and rate, as printed in the invoice's tax summary
+const hsnSummary = (lines) => {
+    const groups = new Map();
+    lines.forEach(line => {
+        const key = `${line.hsnCode}|${line.gstRate}`;
+        const group = groups.get(key) || { hsnCode: line.hsnCode, gstRate: line.gstRate, taxableValue: 0, cgst: 0, sgst: 0 };
+        group.taxableValue = round2(group.taxableValue + line.taxableValue);
+        group.cgst = round2(group.cgst + line.cgst);
+        group.sgst = round2(group.sgst + line.sgst);
+        groups.set(key, group);
+    });
+    return Array.from(groups.values()).sort((a, b) => a.hsnCode.localeCompare(b.hsnCode) || a.gstRate - b.gstRate);
+};
+
+// Invoice totals; the payable amount is rounded to the nearest rupee and the difference shown as round-off
+const invoiceTotals = (lines) => {
+    const sum = (key) => round2(lines.reduce((total, line) => total + line[key], 0));
+    const amount = sum('amount');
+    const total = Math.round(amount);
+    return {
+        gross: sum('grossAmount'),
+        discount: sum('discountAmount'),
+        taxableValue: sum('taxableValue'),
+        cgst: sum('cgst'),
+        sgst: sum('sgst'),
+        roundOff: round2(total - amount),
+        total
+    };
+};
+
+module.exports = { GST_RATES, round2, priceLine, hsnSummary, invoiceTotals };
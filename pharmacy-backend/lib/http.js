@@ -0,0 +1,12 @@
+// --- HTTP Helpers Shared by the Routers ---
+
+// An error that carries the HTTP status the API should answer with, plus optional extra fields
+// for the JSON body. Throw one from a route (or from inside a store transaction, which rolls it back).
+const httpError = (status, message, details) => Object.assign(new Error(message), { status, details });
+
+// Express 4 doesn't catch rejected promises; forward them to the error handler instead
+const asyncHandler = (handler) => (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(next);
+};
+
+module.exports = { httpError, asyncHandler };
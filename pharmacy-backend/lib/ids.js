@@ -0,0 +1,16 @@
+const crypto = require('crypto');
+
+// Stable ids for every stored record
+const newId = () => crypto.randomUUID();
+
+// Next human-readable number in a sequence such as PO-00001, given the numbers already issued
+const nextSequenceNumber = (existing, prefix, width = 5) => {
+    const pattern = new RegExp(`^${prefix}-(\\d+)$`);
+    const highest = existing.reduce((max, number) => {
+        const match = pattern.exec(number || '');
+        return match ? Math.max(max, Number(match[1])) : max;
+    }, 0);
+    return `${prefix}-${String(highest + 1).padStart(width, '0')}`;
+};
+
+module.exports = { newId, nextSequenceNumber };
@@ -0,0 +1,235 @@
+const { httpError } = require('./http');
+const { parseDateParam, toDateKey, today } = require('./dates');
+const { parseCsv } = require('./csv');
+const { readXlsx, excelDate } = require('./xlsx');
+const { findProduct, findDuplicateLot, normalizeName, normalizeStrength } = require('./stock');
+
+// --- Stock List Import ---
+//
+// Distributors send their stock lists as CSV, Excel or JSON. Each row becomes a new batch, in two
+// steps: a dry run reads the file, matches its columns to our fields and reports every row that
+// has errors or repeats a lot (earlier in the file or already in stock), and the confirmed import
+// then adds the rows that passed (see routes/import.js).
+
+const FORMATS = ['csv', 'xlsx', 'json'];
+const MAX_FILE_BYTES = 5 * 1024 * 1024;
+const MAX_ROWS = 5000;
+
+// The fields a row can fill, with the column headings each is matched to when no mapping is given
+const FIELDS = [
+    { key: 'name', label: 'Medicine name', required: true, aliases: ['name', 'medicine', 'medicine name', 'item', 'item name', 'product', 'product name', 'drug', 'description'] },
+    { key: 'strength', label: 'Strength', required: true, aliases: ['strength', 'potency', 'dose'] },
+    { key: 'quantity', label: 'Quantity', required: true, aliases: ['quantity', 'qty', 'units', 'stock'] },
+    { key: 'expiryDate', label: 'Expiry date', required: true, aliases: ['expiry', 'expiry date', 'expirydate', 'exp', 'exp date', 'expiry dt'] },
+    { key: 'batchNumber', label: 'Batch number', required: false, aliases: ['batch', 'batch no', 'batch number', 'batchnumber', 'batchno', 'lot', 'lot no'] },
+    { key: 'manufacturer', label: 'Manufacturer', required: false, aliases: ['manufacturer', 'mfr', 'mfg', 'company', 'make'] },
+    { key: 'purchasePrice', label: 'Purchase price', required: false, aliases: ['purchase price', 'purchaseprice', 'cost', 'cost price', 'rate', 'ptr', 'price'] },
+    { key: 'mrp', label: 'MRP', required: false, aliases: ['mrp', 'mrp per unit', 'max retail price', 'maximum retail price'] },
+    { key: 'sellingPrice', label: 'Selling price', required: false, aliases: ['selling price', 'sellingprice', 'sale price', 'sale rate', 'sp'] }
+];
+
+// "Batch No." and "batch_no" both become "batch no"
+const normalizeHeading = (heading) => String(heading).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+// --- Reading the File ---
+
+// The file from a request body: { fileName, format, dataUrl } with the contents as a base64 data URL.
+// The format comes from `format` or else the file name's extension.
+const decodeFile = ({ fileName, format, dataUrl } = {}) => {
+    const kind = String(format || String(fileName || '').split('.').pop() || '').toLowerCase();
+    if (!FORMATS.includes(kind)) throw httpError(400, 'Unsupported file type. Import a CSV, XLSX or JSON file.');
+
+    const match = /^data:[^;,]*;base64,(.*)$/.exec(String(dataUrl || ''));
+    if (!match) throw httpError(400, 'The file must be sent as a base64 data URL in dataUrl.');
+    const data = Buffer.from(match[1], 'base64');
+    if (!data.length) throw httpError(400, 'The file is empty.');
+    if (data.length > MAX_FILE_BYTES) throw httpError(400, `The file is larger than ${MAX_FILE_BYTES / 1024 / 1024} MB.`);
+    return { format: kind, data };
+};
+
+// The file's columns and its rows as { row, values: { <column>: value } }. `row` is the line or
+// row number the user sees in their spreadsheet (for JSON, the item's position in the list).
+const readRecords = ({ format, data }) => {
+    if (format === 'json') {
+        let parsed;
+        try {
+            parsed = JSON.parse(data.toString('utf8'));
+        } catch (e) {
+            throw httpError(400, 'The file is not valid JSON.');
+        }
+        const items = Array.isArray(parsed) ? parsed : parsed && parsed.inventory;
+        if (!Array.isArray(items)) throw httpError(400, 'The JSON file must hold a list of items, or { "inventory": [...] }.');
+        const columns = [...new Set(items.flatMap(item => (item && typeof item === 'object' ? Object.keys(item) : [])))];
+        return {
+            columns,
+            records: items.map((item, index) => ({ row: index + 1, values: item && typeof item === 'object' ? item : {} }))
+        };
+    }
+
+    const rows = format === 'xlsx' ? readXlsx(data) : parseCsv(data.toString('utf8'));
+    const isBlank = (cells) => cells.every(cell => String(cell).trim() === '');
+    const headerIndex = rows.findIndex(cells => !isBlank(cells));
+    if (headerIndex < 0) throw httpError(400, 'The file has no rows.');
+
+    const columns = rows[headerIndex].map((cell, i) => String(cell).trim() || `Column ${i + 1}`);
+    const records = [];
+    rows.slice(headerIndex + 1).forEach((cells, i) => {
+        if (isBlank(cells)) return;
+        const values = {};
+        columns.forEach((column, c) => {
+            values[column] = cells[c] === undefined ? '' : cells[c];
+        });
+        records.push({ row: headerIndex + i + 2, values });
+    });
+    return { columns, records };
+};
+
+// Which column fills each field: the ones the user chose, the rest matched by heading.
+// Returns { <field>: <column> | null }.
+const resolveMapping = (columns, requested = {}) => {
+    if (typeof requested !== 'object' || Array.isArray(requested)) throw httpError(400, 'mapping must be an object of { field: column }.');
+    const unknown = Object.keys(requested).filter(key => !FIELDS.some(field => field.key === key));
+    if (unknown.length) throw httpError(400, `Unknown fields in mapping: ${unknown.join(', ')}.`);
+
+    const mapping = {};
+    FIELDS.forEach(field => {
+        const chosen = requested[field.key];
+        if (chosen !== undefined && chosen !== null && chosen !== '') {
+            if (!columns.includes(chosen)) throw httpError(400, `The file has no column "${chosen}" (mapped to ${field.label}).`);
+            mapping[field.key] = chosen;
+            return;
+        }
+        const taken = Object.values(requested);
+        mapping[field.key] = chosen === null ? null : columns.find(column =>
+            !taken.includes(column) && field.aliases.includes(normalizeHeading(column))
+        ) || null;
+    });
+    return mapping;
+};
+
+// --- Checking Rows ---
+
+const lastDayOfMonth = (year, month) => toDateKey(new Date(year, month, 0));
+
+// Expiry dates as distributors write them: 2027-03-31, 31/03/2027, 31-03-27, 03/2027 or 03/27
+// (a month means the end of that month, as printed on the strip), or an Excel date cell.
+const parseExpiry = (value) => {
+    if (typeof value === 'number') return value > 20000 && value < 80000 ? excelDate(value) : null;
+    const text = String(value).trim();
+    if (parseDateParam(text)) return text;
+
+    const fullYear = (y) => (y.length === 2 ? 2000 + Number(y) : Number(y));
+    let match = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/.exec(text);
+    if (match) {
+        const key = `${fullYear(match[3])}-${match[2].padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+        return parseDateParam(key) ? key : null;
+    }
+    match = /^(\d{1,2})[/.-](\d{2}|\d{4})$/.exec(text) || /^(\d{4})-(\d{2})$/.exec(text);
+    if (match) {
+        const [year, month] = match[1].length === 4 ? [Number(match[1]), Number(match[2])] : [fullYear(match[2]), Number(match[1])];
+        return month >= 1 && month <= 12 ? lastDayOfMonth(year, month) : null;
+    }
+    return null;
+};
+
+// "1,200" and "₹ 12.50" are numbers too
+const parseNumber = (value) => {
+    if (typeof value === 'number') return value;
+    const text = String(value).replace(/[₹,\s]/g, '').replace(/^rs\.?/i, '');
+    return text === '' ? NaN : Number(text);
+};
+
+// Check one row. Returns { item, errors, warnings } where item holds the values for a new batch.
+const checkRow = (values, mapping) => {
+    const cell = (key) => {
+        const value = mapping[key] ? values[mapping[key]] : undefined;
+        return value == null ? '' : value;
+    };
+    const text = (key) => String(cell(key)).trim();
+    const errors = [];
+    const warnings = [];
+
+    FIELDS.filter(field => field.required).forEach(field => {
+        if (text(field.key) === '') errors.push(`${field.label} is missing.`);
+    });
+
+    const quantity = parseNumber(cell('quantity'));
+    if (text('quantity') !== '' && !(Number.isInteger(quantity) && quantity > 0)) {
+        errors.push(`Quantity "${text('quantity')}" must be a whole number greater than zero.`);
+    }
+
+    const expiryDate = text('expiryDate') === '' ? null : parseExpiry(cell('expiryDate'));
+    if (text('expiryDate') !== '' && !expiryDate) errors.push(`Expiry date "${text('expiryDate')}" is not a date.`);
+    if (expiryDate && expiryDate < today()) warnings.push('Already expired.');
+
+    // Prices per unit: purchase price, MRP and selling price, each optional
+    const price = (key) => {
+        if (text(key) === '') return null;
+        const value = parseNumber(cell(key));
+        if (!(value >= 0)) errors.push(`${FIELDS.find(field => field.key === key).label} "${text(key)}" must be a non-negative number.`);
+        return Number.isFinite(value) ? value : null;
+    };
+    const purchasePrice = price('purchasePrice');
+    const mrp = price('mrp');
+    const sellingPrice = price('sellingPrice');
+    if (mrp != null && sellingPrice != null && sellingPrice > mrp) errors.push(`Selling price ${sellingPrice} is above the MRP ${mrp}.`);
+
+    return {
+        item: {
+            name: text('name'),
+            strength: text('strength'),
+            quantity: Number.isFinite(quantity) ? quantity : null,
+            expiryDate,
+            batchNumber: text('batchNumber'),
+            manufacturer: text('manufacturer'),
+            purchasePrice,
+            mrp,
+            sellingPrice
+        },
+        errors,
+        warnings
+    };
+};
+
+// Rows naming the same SKU, however its name and strength are spaced or capitalised
+const skuKey = (item) => `${normalizeName(item.name)}|${normalizeStrength(item.strength)}`;
+
+// Check every row against the stock on file. Each result is
+//   { row, status: 'ok' | 'error' | 'duplicate', item, errors, warnings, duplicateOf, newSku }
+// where duplicateOf is { row } for a repeat of an earlier row or { batchId, quantity } for a lot
+// already in stock (same SKU, batch number and expiry).
+const checkRows = (records, mapping, { products, batches }) => {
+    if (records.length > MAX_ROWS) throw httpError(400, `The file has ${records.length} rows; import at most ${MAX_ROWS} at a time.`);
+
+    const seen = new Map(); // lot key -> first row holding it
+    return records.map(({ row, values }) => {
+        const { item, errors, warnings } = checkRow(values, mapping);
+        const result = { row, status: 'ok', item, errors, warnings, duplicateOf: null, newSku: false };
+        if (errors.length) return { ...result, status: 'error' };
+
+        const product = findProduct(products, item.name, item.strength);
+        // A row without an MRP takes the catalogue's, which the selling price mustn't exceed either
+        if (product && item.mrp == null && product.mrp != null && item.sellingPrice != null && item.sellingPrice > product.mrp) {
+            return { ...result, status: 'error', errors: [`Selling price ${item.sellingPrice} is above the catalogue MRP ${product.mrp}.`] };
+        }
+        const key = [skuKey(item), item.batchNumber, item.expiryDate].join('|').toLowerCase();
+        const lot = product ? findDuplicateLot(batches, product.id, item.batchNumber, item.expiryDate) : null;
+        result.newSku = !product;
+
+        if (seen.has(key)) return { ...result, status: 'duplicate', duplicateOf: { row: seen.get(key) } };
+        seen.set(key, row);
+        if (lot) return { ...result, status: 'duplicate', duplicateOf: { batchId: lot.id, quantity: lot.quantity } };
+        return result;
+    });
+};
+
+// Counts for a checked file
+const summarize = (rows) => ({
+    rows: rows.length,
+    valid: rows.filter(row => row.status === 'ok').length,
+    errors: rows.filter(row => row.status === 'error').length,
+    duplicates: rows.filter(row => row.status === 'duplicate').length,
+    newSkus: new Set(rows.filter(row => row.status !== 'error' && row.newSku).map(row => skuKey(row.item))).size
+});
+
+module.exports = { FIELDS, decodeFile, readRecords, resolveMapping, checkRows, summarize };
@@ -0,0 +1,34 @@
+const { httpError } = require('./http');
+
+// --- Locations ---
+//
+// Stock is kept per location: the shop floor, the back store, a second branch. Every batch is at
+// one location and only moves to another by a transfer (routes/transfers.js), so a lot held in two
+// places is two batch records with the same batch number. One location is the default: stock is
+// received and sold there when a request doesn't name a location.
+
+const LOCATION_KINDS = ['shop', 'store', 'branch'];
+
+const defaultLocation = (locations) => locations.find(location => location.isDefault) || locations[0] || null;
+
+// The location stock is received at or sold from: the one named (400 when unknown or closed), or
+// else the default
+const getStockLocation = (tx, locationId) => {
+    if (locationId == null || locationId === '') return defaultLocation(tx.all('locations'));
+    const location = tx.get('locations', locationId);
+    if (!location) throw httpError(400, `No location with id ${locationId}.`);
+    if (!location.active) throw httpError(400, `${location.name} is closed.`);
+    return location;
+};
+
+// A ?locationId= filter: null for every location, 400 for a location that doesn't exist
+const parseLocationFilter = (locations, value) => {
+    if (value == null || value === '' || value === 'all') return null;
+    if (!locations.some(location => location.id === value)) throw httpError(400, `No location with id ${value}.`);
+    return value;
+};
+
+// The batches (or sales) at a location; all of them when locationId is null
+const atLocation = (records, locationId) => (locationId ? records.filter(record => record.locationId === locationId) : records);
+
+module.exports = { LOCATION_KINDS, defaultLocation, getStockLocation, parseLocationFilter, atLocation };
@@ -0,0 +1,100 @@
+// --- PDF Output ---
+//
+// A plain, printable report: a title, a line about the filters used and a table, over as many
+// landscape A4 pages as it takes, each numbered and repeating the table heading. The table is set
+// in Courier so columns line up without measuring text; cells too long for their column are cut
+// short with "..". The built-in PDF fonts only cover Latin-1, so ₹ is written as "Rs.", ≤ as "<=",
+// dashes as "-" and other characters outside it as "?".
+
+const PAGE = { width: 842, height: 595, margin: 36 };
+const FONT_SIZE = 8;
+const LINE_HEIGHT = 11;
+const CHAR_WIDTH = FONT_SIZE * 0.6; // every Courier glyph is 0.6 em wide
+const COLUMN_GAP = 2; // characters between columns
+const MAX_COLUMN_CHARS = 40;
+
+const latin1 = (value) => String(value == null ? '' : value)
+    .replace(/₹\s?/g, 'Rs.')
+    .replace(/≤/g, '<=')
+    .replace(/[–—]/g, '-')
+    .replace(/[\r\n\t]+/g, ' ')
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, '?');
+
+const escapePdf = (text) => text.replace(/[\\()]/g, c => `\\${c}`);
+
+const fit = (text, width, alignRight) => {
+    const cut = text.length > width ? `${text.slice(0, Math.max(0, width - 2))}..` : text;
+    return alignRight ? cut.padStart(width) : cut.padEnd(width);
+};
+
+// Characters each column gets: enough for its widest cell, shrunk to fit the page when needed
+const columnWidths = (columns, cells) => {
+    const available = Math.floor((PAGE.width - 2 * PAGE.margin) / CHAR_WIDTH) - COLUMN_GAP * (columns.length - 1);
+    const wanted = columns.map((column, i) => Math.min(MAX_COLUMN_CHARS,
+        cells.reduce((widest, row) => Math.max(widest, row[i].length), column.label.length)));
+    const total = wanted.reduce((sum, width) => sum + width, 0);
+    if (total <= available) return wanted;
+    return wanted.map(width => Math.max(4, Math.floor(width * available / total)));
+};
+
+// A PDF document (Buffer) of `columns` ([{ key, label, align? }]) and row objects, like toCsv.
+// Columns with align: 'right' (amounts, quantities) are right-aligned.
+const toPdf = ({ title, subtitle = '', columns, rows }) => {
+    const cells = rows.map(row => columns.map(column => latin1(row[column.key])));
+    const widths = columnWidths(columns, cells);
+    const line = (values) => values
+        .map((value, i) => fit(value, widths[i], columns[i].align === 'right'))
+        .join(' '.repeat(COLUMN_GAP))
+        .trimEnd();
+
+    const heading = line(columns.map(column => latin1(column.label)));
+    const rule = '-'.repeat(widths.reduce((sum, width) => sum + width, 0) + COLUMN_GAP * (widths.length - 1));
+    const top = PAGE.height - PAGE.margin;
+    const firstRowY = top - 40;
+    const rowsPerPage = Math.floor((firstRowY - 2 * LINE_HEIGHT - PAGE.margin - LINE_HEIGHT) / LINE_HEIGHT);
+    const pageCount = Math.max(1, Math.ceil(cells.length / rowsPerPage));
+
+    const text = (font, size, x, y, value) => `BT /${font} ${size} Tf ${x} ${y} Td (${escapePdf(value)}) Tj ET`;
+    const pages = [];
+    for (let p = 0; p < pageCount; p++) {
+        const ops = [
+            text('F2', 14, PAGE.margin, top - 14, latin1(title)),
+            text('F1', 9, PAGE.margin, top - 28, latin1(subtitle)),
+            text('F2', FONT_SIZE, PAGE.margin, firstRowY, heading),
+            text('F1', FONT_SIZE, PAGE.margin, firstRowY - LINE_HEIGHT, rule)
+        ];
+        cells.slice(p * rowsPerPage, (p + 1) * rowsPerPage).forEach((row, i) => {
+            ops.push(text('F1', FONT_SIZE, PAGE.margin, firstRowY - (i + 2) * LINE_HEIGHT, line(row)));
+        });
+        if (!cells.length) ops.push(text('F1', FONT_SIZE, PAGE.margin, firstRowY - 2 * LINE_HEIGHT, 'No rows.'));
+        ops.push(text('F1', FONT_SIZE, PAGE.width - PAGE.margin - 80, PAGE.margin - 12, `Page ${p + 1} of ${pageCount}`));
+        pages.push(ops.join('\n'));
+    }
+
+    // Objects: 1 catalog, 2 page tree, 3-4 fonts, then a page and its content stream for each page
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        `<< /Type /Pages /Kids [${pages.map((_, i) => `${5 + 2 * i} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Courier-Bold /Encoding /WinAnsiEncoding >>'
+    ];
+    pages.forEach((content, i) => {
+        objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE.width} ${PAGE.height}] `
+            + `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${6 + 2 * i} 0 R >>`);
+        objects.push(`<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`);
+    });
+
+    let body = '%PDF-1.4\n';
+    const offsets = objects.map((object, i) => {
+        const offset = Buffer.byteLength(body, 'latin1');
+        body += `${i + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+    });
+    const xref = Buffer.byteLength(body, 'latin1');
+    body += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`
+        + offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('')
+        + `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return Buffer.from(body, 'latin1');
+};
+
+module.exports = { toPdf };
@@ -0,0 +1,70 @@
+const { httpError } = require('./http');
+const { newId } = require('./ids');
+const { parseDateParam, today } = require('./dates');
+
+// --- Drug Schedules and Prescriptions ---
+//
+// Schedule H, H1 and X drugs are sold only against a prescription. The prescription is stored once
+// and every sale made against it points at it; Schedule H1 sales also go into a register
+// (patient, prescriber, drug, quantity) kept for inspections.
+
+const SCHEDULES = ['H', 'H1', 'X'];
+
+// Scanned prescriptions: file types accepted and the largest size kept
+const IMAGE_TYPES = { 'image/jpeg': 'jpg', 'image/png': 'png', 'application/pdf': 'pdf' };
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+// A drug schedule from a request body: one of SCHEDULES, or null for an unscheduled drug
+const parseSchedule = (value) => {
+    if (value === null || value === '') return null;
+    const schedule = String(value).trim().toUpperCase();
+    if (!SCHEDULES.includes(schedule)) throw httpError(400, `schedule must be one of: ${SCHEDULES.join(', ')} (or null).`);
+    return schedule;
+};
+
+// Decode a scanned prescription sent as { fileName, dataUrl } (a base64 data: URL)
+const parseImage = (image) => {
+    const match = /^data:([\w/.+-]+);base64,(.+)$/.exec(String(image.dataUrl || ''));
+    if (!match) throw httpError(400, 'Prescription image must be sent as a base64 data URL.');
+    const contentType = match[1].toLowerCase();
+    if (!IMAGE_TYPES[contentType]) throw httpError(400, 'Prescription image must be a JPEG, PNG or PDF.');
+    const data = Buffer.from(match[2], 'base64');
+    if (data.length > MAX_IMAGE_BYTES) throw httpError(400, `Prescription image is larger than ${MAX_IMAGE_BYTES / 1024 / 1024} MB.`);
+    return { contentType, originalName: String(image.fileName || '').trim(), data };
+};
+
+// Check the prescription sent with a sale:
+//   { patientName, patientAddress, doctorName, doctorRegistrationNumber, doctorAddress, rxDate, image }
+// Returns null when none was sent, otherwise { prescription, image } where `prescription` is the
+// record to store and `image` the decoded scan (or null) to be saved under prescription.image.fileName.
+const parsePrescription = (body) => {
+    if (body == null) return null;
+    if (typeof body !== 'object') throw httpError(400, 'prescription must be an object.');
+
+    const text = (key) => (body[key] == null ? '' : String(body[key]).trim());
+    const missing = ['patientName', 'doctorName', 'doctorRegistrationNumber', 'rxDate'].filter(key => !text(key));
+    if (missing.length) throw httpError(400, `Prescription is missing: ${missing.join(', ')}.`);
+    if (!parseDateParam(text('rxDate'))) throw httpError(400, 'rxDate must be a date in YYYY-MM-DD format.');
+    if (text('rxDate') > today()) throw httpError(400, 'rxDate cannot be in the future.');
+
+    const image = body.image ? parseImage(body.image) : null;
+    const id = newId();
+    return {
+        prescription: {
+            id,
+            createdAt: new Date().toISOString(),
+            patientName: text('patientName'),
+            patientAddress: text('patientAddress'),
+            doctorName: text('doctorName'),
+            doctorRegistrationNumber: text('doctorRegistrationNumber'),
+            doctorAddress: text('doctorAddress'),
+            rxDate: text('rxDate'),
+            image: image
+                ? { fileName: `${id}.${IMAGE_TYPES[image.contentType]}`, contentType: image.contentType, originalName: image.originalName, size: image.data.length }
+                : null
+        },
+        image
+    };
+};
+
+module.exports = { SCHEDULES, parseSchedule, parsePrescription };
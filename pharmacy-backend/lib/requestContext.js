@@ -0,0 +1,41 @@
+const { httpError } = require('./http');
+
+// --- Request Context ---
+//
+// What the store needs to know about the request behind a change: who made it and from which page
+// (for the audit log, storage/audit.js) and the client's Idempotency-Key, if it sent one (so a
+// retried change is applied only once, storage/idempotency.js). Pages name themselves in an
+// X-Source-Page header (html/auth.js adds it); other clients fall back to the Referer.
+
+const sourcePage = (req) => {
+    const header = req.get('X-Source-Page');
+    if (header) return String(header).slice(0, 100);
+    try {
+        return new URL(req.get('Referer')).pathname.split('/').pop() || null;
+    } catch (e) {
+        return null;
+    }
+};
+
+// The route that handled the request, e.g. "POST /api/sales" or "PATCH /api/products/:id"
+const routeOf = (req) => {
+    const path = req.route && req.route.path !== '/' ? req.route.path : '';
+    return `${req.method} ${req.baseUrl}${path}`;
+};
+
+const idempotencyKey = (req) => {
+    const key = req.get('Idempotency-Key');
+    if (key == null || key === '') return null;
+    if (!/^[\w-]{8,100}$/.test(key)) throw httpError(400, 'Idempotency-Key must be 8 to 100 letters, digits, dashes or underscores.');
+    return key;
+};
+
+// The context to pass as store.transaction(work, requestContext(req))
+const requestContext = (req) => ({
+    actor: req.user ? { id: req.user.id, username: req.user.username, name: req.user.name, role: req.user.role } : null,
+    source: sourcePage(req),
+    request: routeOf(req),
+    idempotencyKey: idempotencyKey(req)
+});
+
+module.exports = { requestContext };
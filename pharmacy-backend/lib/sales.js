@@ -0,0 +1,122 @@
+const { httpError } = require('./http');
+const { newId } = require('./ids');
+const { dateRangeFilter } = require('./dates');
+const { byExpiry, isExpired, allocateSale, normalizeName, normalizeStrength } = require('./stock');
+const { lotPrices } = require('./valuation');
+
+// --- Selling Stock ---
+
+// Take `quantity` units out of stock and write the sale to the ledger. `products` are the SKUs the
+// sale may draw on: one SKU, or every strength of a medicine when the strength wasn't given.
+// Call it inside a store transaction; it throws (rolling back) when the stock can't cover the sale.
+// Stock is taken from the lots at `location` only.
+// `extra` fields are kept on the sale record (e.g. the invoice, customer or daily dose). A `batchId`
+// (the lot scanned at the counter) makes the sale come out of that lot only.
+// Each line of the sale keeps the lot's unit cost and the unit price charged, for margins: the lot's
+// selling price, unless `pricing(lot, product)` gives the price actually charged for the units of a lot
+// { unitPrice, gstRate } (an invoice line, priced from the MRP on the lot).
+// Scheduled drugs (H, H1, X) need a `prescription` record (see lib/prescriptions.js); it is stored
+// with the first sale made against it and the sale points at it.
+const recordSale = (tx, { products, medicine, quantity, saleMode, location, batchId = null, pricing = null, prescription = null, extra = {} }) => {
+    const productIds = products.map(product => product.id);
+    if (batchId) {
+        const batch = tx.get('batches', batchId);
+        if (!batch || !productIds.includes(batch.productId)) throw httpError(400, `No batch ${batchId} of ${medicine} in stock.`);
+        if (batch.locationId !== location.id) throw httpError(400, `Batch ${batch.batchNumber || batchId} of ${medicine} is not at ${location.name}.`);
+    }
+
+    // Consume lots from the earliest expiry first (how is up to SALE_MODE).
+    // Expired lots are never sold; they wait in the disposal queue instead.
+    const inStock = tx.all('batches')
+        .filter(batch => productIds.includes(batch.productId) && batch.locationId === location.id && batch.quantity > 0 && (!batchId || batch.id === batchId))
+        .sort(byExpiry);
+    const lots = inStock.filter(batch => !isExpired(batch));
+    const expired = inStock.filter(batch => isExpired(batch));
+
+    const allocations = allocateSale(lots, quantity, saleMode);
+    if (!allocations) {
+        const available = lots.reduce((sum, lot) => sum + Number(lot.quantity), 0);
+        const detail = saleMode === 'single-batch' && available >= quantity
+            ? `No single batch holds ${quantity} units (${available} available across batches).`
+            : `Missing ${quantity - available} units.`;
+        const expiredNote = expired.length
+            ? ` Expired stock cannot be sold: ${expired.map(lot => `${lot.batchNumber ? `batch ${lot.batchNumber}` : 'unnumbered batch'} (expired ${lot.expiryDate}, ${lot.quantity} units)`).join(', ')}.`
+            : '';
+        throw httpError(400, `Not enough stock for ${medicine} at ${location.name}. ${detail}${expiredNote}`, {
+            expired: expired.map(lot => ({
+                batchId: lot.id,
+                batchNumber: lot.batchNumber,
+                expiryDate: lot.expiryDate,
+                quantity: lot.quantity
+            }))
+        });
+    }
+
+    const soldProducts = products.filter(product => allocations.some(({ lot }) => lot.productId === product.id));
+    const scheduled = soldProducts.filter(product => product.schedule);
+    if (scheduled.length && !prescription) {
+        const names = scheduled.map(product => `${product.name} (${product.strength}) is a Schedule ${product.schedule} drug`);
+        throw httpError(400, `${names.join('; ')}. A prescription is required.`, {
+            prescriptionRequired: true,
+            schedules: [...new Set(scheduled.map(product => product.schedule))]
+        });
+    }
+    if (prescription && !tx.get('prescriptions', prescription.id)) tx.insert('prescriptions', prescription);
+
+    // Take the stock and keep what each lot gave up for the sales ledger.
+    // Depleted lots stay on file (at zero) so the ledger can still point at them.
+    const consumed = allocations.map(({ lot, quantity: taken }) => {
+        const product = products.find(p => p.id === lot.productId);
+        const prices = lotPrices(lot, product);
+        const charged = pricing ? pricing(lot, product) : null;
+        tx.update('batches', lot.id, { ...lot, quantity: lot.quantity - taken });
+        return {
+            batchId: lot.id,
+            batchNumber: lot.batchNumber,
+            productId: product.id,
+            strength: product.strength,
+            schedule: product.schedule || null,
+            expiryDate: lot.expiryDate,
+            quantity: taken,
+            unitCost: prices.cost,
+            unitPrice: charged ? charged.unitPrice : prices.selling,
+            gstRate: charged ? charged.gstRate : product.gstRate ?? null
+        };
+    });
+
+    // Record the transaction in the sales ledger
+    const single = soldProducts.length === 1 ? soldProducts[0] : null; // null when the sale spanned several strengths
+    return tx.insert('sales', {
+        id: newId(),
+        timestamp: new Date().toISOString(),
+        medicine: soldProducts[0].name,
+        productId: single ? single.id : null,
+        strength: single ? single.strength : null,
+        quantity,
+        batches: consumed,
+        invoiceId: null,
+        prescriptionId: prescription ? prescription.id : null,
+        customerId: null,
+        dailyDose: null,
+        locationId: location.id,
+        ...extra
+    });
+};
+
+// Apply the from/to/medicine/strength/customerId/locationId filters shared by the sales and export endpoints
+const filterSales = (sales, query) => {
+    const { from, to, medicine, strength, customerId, locationId } = query;
+    const inRange = dateRangeFilter(from, to);
+    if (!inRange) throw httpError(400, 'Invalid date filter. Use YYYY-MM-DD for from and to.');
+
+    return sales.filter(sale => {
+        if (!inRange(sale.timestamp)) return false;
+        if (medicine && normalizeName(sale.medicine) !== normalizeName(medicine)) return false;
+        if (strength && normalizeStrength(sale.strength) !== normalizeStrength(strength)) return false;
+        if (customerId && sale.customerId !== customerId) return false;
+        if (locationId && sale.locationId !== locationId) return false;
+        return true;
+    });
+};
+
+module.exports = { recordSale, filterSales };
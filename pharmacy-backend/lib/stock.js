@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const { today } = require('./dates');
+const { newId } = require('./ids');
+const { httpError } = require('./http');
+const { sameGtin } = require('./barcodes');
+
+// --- Stock Helpers: SKUs, batches and how sales draw on them ---
+
+// A new product (SKU) record in the drug master. `name` is the brand name; `details` can fill in
+// the catalogue fields (generic name, dosage form, pack size, manufacturer, EAN). Stock thresholds,
+// billing details and the drug schedule start unset until someone configures them.
+const newProduct = (name, strength, details = {}) => ({
+    id: newId(),
+    name: String(name).trim().replace(/\s+/g, ' '),
+    strength: String(strength).trim(),
+    genericName: '',
+    dosageForm: '',
+    packSize: null,
+    manufacturer: '',
+    ean: '',
+    minLevel: null,
+    reorderPoint: null,
+    reorderQuantity: null,
+    hsnCode: '',
+    gstRate: null,
+    mrp: null,
+    schedule: null,
+    ...details
+});
+
+const optionalPrice = (value) => (value != null && value !== '' ? Number(value) : null);
+
+// A new batch (lot) record, received today at `locationId`. Prices are per unit: what we paid
+// (purchasePrice), the MRP printed on the lot and the price we sell it at (sellingPrice, when below
+// MRP). `supplierId` and `purchaseOrderId` are set when the stock came in against a purchase order.
+const newBatch = ({ productId, batchNumber, manufacturer, quantity, expiryDate, purchasePrice, mrp, sellingPrice, supplierId, purchaseOrderId, locationId }) => ({
+    id: newId(),
+    productId,
+    batchNumber: batchNumber ? String(batchNumber).trim() : '',
+    manufacturer: manufacturer ? String(manufacturer).trim() : '',
+    quantity: Number(quantity),
+    expiryDate,
+    purchasePrice: optionalPrice(purchasePrice),
+    mrp: optionalPrice(mrp),
+    sellingPrice: optionalPrice(sellingPrice),
+    receivedDate: today(),
+    supplierId: supplierId || null,
+    purchaseOrderId: purchaseOrderId || null,
+    locationId
+});
+
+// Medicines can't be sold above their printed MRP
+const assertPriceWithinMrp = ({ mrp, sellingPrice }) => {
+    if (mrp != null && sellingPrice != null && sellingPrice > mrp) throw httpError(400, `Selling price (₹${sellingPrice}) cannot be above the MRP (₹${mrp}).`);
+};
+
+// An existing lot of the same product with the same batch number and expiry (a repeated receipt)
+const findDuplicateLot = (batches, productId, batchNumber, expiryDate) => batches.find(batch =>
+    batch.productId === productId &&
+    batch.expiryDate === expiryDate &&
+    String(batch.batchNumber || '').toLowerCase() === String(batchNumber || '').trim().toLowerCase()
+);
+
+// Names and strengths as SKUs are matched on: case and spacing don't count, so "Paracetamol 500 mg"
+// and "paracetamol  500MG" are one SKU
+const normalizeName = (name) => String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+const normalizeStrength = (strength) => String(strength || '').replace(/\s+/g, '').toLowerCase();
+
+// Find a product (SKU) by name and strength
+const findProduct = (products, name, strength) => {
+    return products.find(product =>
+        normalizeName(product.name) === normalizeName(name) &&
+        normalizeStrength(product.strength) === normalizeStrength(strength)
+    );
+};
+
+// Find a product by the EAN (GTIN) on its pack
+const findProductByEan = (products, ean) => products.find(product => sameGtin(product.ean, ean));
+
+const byExpiry = (a, b) => new Date(a.expiryDate) - new Date(b.expiryDate);
+
+// A lot is expired from the day after its expiry date; expired lots can't be sold
+const isExpired = (batch, onDate = today()) => Boolean(batch.expiryDate) && batch.expiryDate < onDate;
+
+// Decide how much to take from each lot (already sorted by expiry) for a sale of `quantity` units.
+// "fifo" spreads the sale over as many lots as needed; "single-batch" takes it all from the first
+// lot that can cover it. Returns [{ lot, quantity }], or null when the stock can't cover the sale.
+const allocateSale = (lots, quantity, mode) => {
+    if (mode === 'single-batch') {
+        const lot = lots.find(l => l.quantity >= quantity);
+        return lot ? [{ lot, quantity }] : null;
+    }
+
+    let remaining = quantity;
+    const allocations = [];
+    for (const lot of lots) {
+        if (remaining === 0) break;
+        const taken = Math.min(lot.quantity, remaining);
+        allocations.push({ lot, quantity: taken });
+        remaining -= taken;
+    }
+    return remaining === 0 ? allocations : null;
+};
+
+// Units of a product that can still be sold: stock in lots that haven't expired
+const sellableQuantity = (batches, productId) => batches
+    .filter(batch => batch.productId === productId && batch.quantity > 0 && !isExpired(batch))
+    .reduce((sum, batch) => sum + Number(batch.quantity), 0);
+
+// Purchase orders whose goods may still arrive
+const OPEN_ORDER_STATUSES = ['draft', 'ordered', 'partially-received'];
+
+// Units of a product ordered but not yet received, across open purchase orders
+const quantityOnOrder = (orders, productId) => orders
+    .filter(order => OPEN_ORDER_STATUSES.includes(order.status))
+    .reduce((sum, order) => sum + order.lines
+        .filter(line => line.productId === productId)
+        .reduce((s, line) => s + line.quantityOrdered - line.quantityReceived, 0), 0);
+
+// How worried to be about a SKU's stock: 'critical' at or below its minimum level, 'reorder' at or
+// below its reorder point, otherwise null. SKUs without thresholds are never flagged.
+const lowStockLevel = (product, quantity) => {
+    if (product.minLevel != null && quantity <= product.minLevel) return 'critical';
+    if (product.reorderPoint != null && quantity <= product.reorderPoint) return 'reorder';
+    return null;
+};
+
+// A product as the API returns it, with its current sellable stock
+const toProductView = (product, batches) => {
+    const quantity = sellableQuantity(batches, product.id);
+    return { ...product, quantity, lowStock: lowStockLevel(product, quantity) };
+};
+
+// A short fingerprint of a batch that changes whenever the batch does. Edits queued while offline
+// send the version they were made against (If-Match), so a change made meanwhile shows up as a conflict.
+const batchVersion = (batch) => crypto.createHash('sha1').update(JSON.stringify(batch)).digest('hex').slice(0, 16);
+
+// A batch as the API returns it: the lot plus its product's name and strength
+const toInventoryItem = (batch, product) => ({
+    id: batch.id,
+    productId: product.id,
+    name: product.name,
+    strength: product.strength,
+    genericName: product.genericName,
+    schedule: product.schedule,
+    batchNumber: batch.batchNumber,
+    manufacturer: batch.manufacturer,
+    quantity: batch.quantity,
+    expiryDate: batch.expiryDate,
+    purchasePrice: batch.purchasePrice,
+    mrp: batch.mrp,
+    sellingPrice: batch.sellingPrice,
+    receivedDate: batch.receivedDate,
+    supplierId: batch.supplierId,
+    purchaseOrderId: batch.purchaseOrderId,
+    locationId: batch.locationId,
+    version: batchVersion(batch)
+});
+
+// One row per SKU with stock derived from its lots; expiryDate is the earliest lot still holding stock.
+// `lowStock` compares the sellable (unexpired) units against the SKU's thresholds.
+const summarizeSkus = (products, batches) => {
+    return products.map(product => {
+        const lots = batches
+            .filter(batch => batch.productId === product.id && batch.quantity > 0)
+            .sort(byExpiry);
+        return {
+            id: product.id,
+            name: product.name,
+            strength: product.strength,
+            genericName: product.genericName,
+            schedule: product.schedule,
+            quantity: lots.reduce((sum, lot) => sum + Number(lot.quantity), 0),
+            expiryDate: lots.length ? lots[0].expiryDate : null,
+            batchCount: lots.length,
+            minLevel: product.minLevel,
+            reorderPoint: product.reorderPoint,
+            reorderQuantity: product.reorderQuantity,
+            lowStock: lowStockLevel(product, sellableQuantity(lots, product.id)),
+            batches: lots.map(lot => toInventoryItem(lot, product))
+        };
+    });
+};
+
+module.exports = {
+    newProduct,
+    newBatch,
+    assertPriceWithinMrp,
+    findDuplicateLot,
+    normalizeName,
+    normalizeStrength,
+    findProduct,
+    findProductByEan,
+    byExpiry,
+    isExpired,
+    allocateSale,
+    sellableQuantity,
+    OPEN_ORDER_STATUSES,
+    quantityOnOrder,
+    lowStockLevel,
+    toProductView,
+    batchVersion,
+    toInventoryItem,
+    summarizeSkus
+};
@@ -0,0 +1,84 @@
+const { httpError } = require('./http');
+const { newId } = require('./ids');
+const { parseDateParam } = require('./dates');
+const { ROLES, hashPassword, checkPasswordStrength } = require('./auth');
+
+// --- User Accounts ---
+
+// What a user can change about themselves on the profile page
+const TEXT_FIELDS = ['name', 'email', 'phone', 'position', 'department', 'about', 'avatar'];
+const FLAG_FIELDS = ['notifyStock', 'notifyExpiry', 'notifySales'];
+const PROFILE_FIELDS = [...TEXT_FIELDS, 'joinDate', ...FLAG_FIELDS];
+
+// Check profile fields and return the cleaned-up ones that were sent
+const parseProfileFields = (body) => {
+    const fields = {};
+    TEXT_FIELDS.filter(key => body[key] !== undefined).forEach(key => {
+        fields[key] = body[key] == null ? '' : String(body[key]).trim();
+    });
+    if (fields.name === '') throw httpError(400, 'Name cannot be empty.');
+    if (fields.email && !/^[^\s@]+@[^\s@]+$/.test(fields.email)) throw httpError(400, 'Email address is not valid.');
+    if (body.joinDate !== undefined) {
+        if (body.joinDate && !parseDateParam(body.joinDate)) throw httpError(400, 'joinDate must be a date in YYYY-MM-DD format.');
+        fields.joinDate = body.joinDate || '';
+    }
+    FLAG_FIELDS.filter(key => body[key] !== undefined).forEach(key => {
+        if (typeof body[key] !== 'boolean') throw httpError(400, `${key} must be true or false.`);
+        fields[key] = body[key];
+    });
+    return fields;
+};
+
+const parseRole = (role) => {
+    if (!ROLES.includes(role)) throw httpError(400, `role must be one of: ${ROLES.join(', ')}.`);
+    return role;
+};
+
+// Usernames are unique, ignoring case, and are stored lower-case
+const parseUsername = (tx, username, exceptId) => {
+    const name = String(username || '').trim().toLowerCase();
+    if (!/^[a-z0-9._-]{3,32}$/.test(name)) {
+        throw httpError(400, 'Username must be 3 to 32 letters, digits, dots, dashes or underscores.');
+    }
+    if (tx.all('users').some(user => user.id !== exceptId && user.username === name)) {
+        throw httpError(409, `The username ${name} is taken.`);
+    }
+    return name;
+};
+
+// A new user record from { username, password, role, ...profile }
+const newUser = (tx, body) => {
+    checkPasswordStrength(body.password);
+    const profile = parseProfileFields(body);
+    const username = parseUsername(tx, body.username);
+    return {
+        id: newId(),
+        username,
+        role: parseRole(body.role),
+        active: true,
+        passwordHash: hashPassword(body.password),
+        createdAt: new Date().toISOString(),
+        name: username,
+        email: '',
+        phone: '',
+        position: '',
+        department: '',
+        joinDate: '',
+        about: '',
+        avatar: '',
+        notifyStock: true,
+        notifyExpiry: true,
+        notifySales: true,
+        ...profile
+    };
+};
+
+// Refuse a change that would leave nobody able to manage accounts
+const assertOwnerRemains = (tx, changedId, next) => {
+    const owners = tx.all('users')
+        .map(user => (user.id === changedId ? next : user))
+        .filter(user => user.active && user.role === 'owner');
+    if (!owners.length) throw httpError(409, 'There must always be at least one active owner.');
+};
+
+module.exports = { PROFILE_FIELDS, parseProfileFields, parseRole, newUser, assertOwnerRemains };
@@ -0,0 +1,112 @@
+const { round2 } = require('./gst');
+const { periodKey } = require('./dates');
+const { expiryStatus } = require('./expiry');
+
+// --- Stock Valuation and Margins ---
+//
+// Stock is valued lot by lot, at what we paid (purchasePrice), at MRP and at the price we sell at.
+// A lot without its own MRP uses its product's; the selling price defaults to the MRP. Units whose
+// price isn't known are counted (unpricedUnits) rather than valued at zero without saying so.
+//
+// Margins come from the sales ledger: every sale line records the unit cost of the lot it came out
+// of and the unit price charged (tax included). The pharmacy keeps the price net of GST, so the gross
+// margin is revenue net of GST less cost.
+
+// Per-unit prices of a lot: { cost, mrp, selling }, each null when unknown
+const lotPrices = (batch, product) => {
+    const mrp = batch.mrp ?? (product ? product.mrp : null) ?? null;
+    return { cost: batch.purchasePrice ?? null, mrp, selling: batch.sellingPrice ?? mrp };
+};
+
+// Units and value of a list of lots. `unpricedUnits` have no purchase price, `unpricedMrpUnits` no MRP.
+const valueLots = (lots, products) => {
+    const totals = { batches: lots.length, units: 0, costValue: 0, mrpValue: 0, sellingValue: 0, unpricedUnits: 0, unpricedMrpUnits: 0 };
+    lots.forEach(lot => {
+        const prices = lotPrices(lot, products.find(p => p.id === lot.productId));
+        totals.units += lot.quantity;
+        if (prices.cost != null) totals.costValue += lot.quantity * prices.cost;
+        else totals.unpricedUnits += lot.quantity;
+        if (prices.mrp != null) {
+            totals.mrpValue += lot.quantity * prices.mrp;
+            totals.sellingValue += lot.quantity * prices.selling;
+        } else {
+            totals.unpricedMrpUnits += lot.quantity;
+        }
+    });
+    return { ...totals, costValue: round2(totals.costValue), mrpValue: round2(totals.mrpValue), sellingValue: round2(totals.sellingValue) };
+};
+
+// Stock on hand valued per SKU, with the part at risk of expiry (lots expiring within the near
+// window, not yet expired) and the part already expired. Returns { skus, totals }.
+const valueStock = (products, batches, expiryWindows) => {
+    const inStock = batches
+        .filter(batch => batch.quantity > 0)
+        .map(batch => ({ batch, status: expiryStatus(batch.expiryDate, expiryWindows).key }));
+    const split = (entries) => ({
+        ...valueLots(entries.map(({ batch }) => batch), products),
+        atRisk: valueLots(entries.filter(({ status }) => status === 'soon' || status === 'near').map(({ batch }) => batch), products),
+        expired: valueLots(entries.filter(({ status }) => status === 'expired').map(({ batch }) => batch), products)
+    });
+
+    const skus = products
+        .map(product => ({ product, entries: inStock.filter(({ batch }) => batch.productId === product.id) }))
+        .filter(({ entries }) => entries.length)
+        .map(({ product, entries }) => ({
+            productId: product.id,
+            name: product.name,
+            strength: product.strength,
+            ...split(entries)
+        }));
+    return { skus, totals: split(inStock) };
+};
+
+// Group keys for margins: per SKU, or per day, week or month
+const MARGIN_GROUPS = ['sku', 'daily', 'weekly', 'monthly'];
+
+// Gross margin of sales, grouped by `groupBy` (one of MARGIN_GROUPS). Only units with both a price
+// and a cost on record count towards revenue, cost and margin; the rest are `unpricedUnits`.
+const salesMargins = (sales, groupBy) => {
+    const groups = new Map();
+    const empty = () => ({ units: 0, revenue: 0, netRevenue: 0, cost: 0, unpricedUnits: 0 });
+    const add = (group, line) => {
+        group.units += line.quantity;
+        if (line.unitPrice == null || line.unitCost == null) {
+            group.unpricedUnits += line.quantity;
+            return;
+        }
+        const revenue = line.unitPrice * line.quantity;
+        group.revenue += revenue;
+        group.netRevenue += line.gstRate != null ? revenue / (1 + line.gstRate / 100) : revenue;
+        group.cost += line.unitCost * line.quantity;
+    };
+
+    const totals = empty();
+    sales.forEach(sale => (sale.batches || []).forEach(line => {
+        const key = groupBy === 'sku' ? line.productId : periodKey(sale.timestamp, groupBy);
+        if (!groups.has(key)) {
+            groups.set(key, groupBy === 'sku'
+                ? { productId: line.productId, name: sale.medicine, strength: line.strength, ...empty() }
+                : { period: key, ...empty() });
+        }
+        add(groups.get(key), line);
+        add(totals, line);
+    }));
+
+    const finish = (group) => {
+        const grossMargin = round2(group.netRevenue - group.cost);
+        return {
+            ...group,
+            revenue: round2(group.revenue),
+            netRevenue: round2(group.netRevenue),
+            cost: round2(group.cost),
+            grossMargin,
+            marginPercent: group.netRevenue > 0 ? round2(grossMargin / group.netRevenue * 100) : null
+        };
+    };
+    const rows = Array.from(groups.values()).map(finish);
+    if (groupBy === 'sku') rows.sort((a, b) => b.grossMargin - a.grossMargin || a.name.localeCompare(b.name));
+    else rows.sort((a, b) => a.period.localeCompare(b.period));
+    return { rows, totals: finish(totals) };
+};
+
+module.exports = { lotPrices, valueLots, valueStock, MARGIN_GROUPS, salesMargins };
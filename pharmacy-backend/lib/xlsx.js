@@ -0,0 +1,259 @@
+const zlib = require('zlib');
+const { httpError } = require('./http');
+
+// --- Excel (.xlsx) Input and Output ---
+//
+// Just enough of the format to read a distributor's stock list (the cells of the first worksheet,
+// as rows of text and numbers) and to write a one-sheet export. An .xlsx file is a zip archive of
+// XML parts; the zip directory is handled here and the parts are compressed with zlib. Formatting
+// is ignored on the way in, so a date cell comes back as Excel's day number (see excelDate).
+
+// --- Zip Archive ---
+
+const END_OF_DIRECTORY = 0x06054b50;
+const DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_HEADER = 0x04034b50;
+// A stock list unpacks to a few megabytes; a small upload that inflates far past that is refused
+// before it can exhaust the server's memory
+const MAX_ENTRY_BYTES = 32 * 1024 * 1024;
+const MAX_TOTAL_BYTES = 64 * 1024 * 1024;
+
+// Inflate one compressed part, allowing at most `limit` bytes out
+const inflate = (data, limit) => {
+    try {
+        return zlib.inflateRawSync(data, { maxOutputLength: limit });
+    } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') throw httpError(400, 'The .xlsx workbook is too large to import once unpacked.');
+        throw httpError(400, 'The .xlsx workbook is damaged.');
+    }
+};
+
+// { <path>: Buffer } for every file in the archive
+const unzip = (buffer) => {
+    let end = -1;
+    for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+        if (buffer.readUInt32LE(i) === END_OF_DIRECTORY) {
+            end = i;
+            break;
+        }
+    }
+    if (end < 0) throw httpError(400, 'The file is not a valid .xlsx workbook.');
+
+    const count = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+    const files = {};
+    let total = 0;
+    for (let n = 0; n < count; n++) {
+        if (buffer.readUInt32LE(offset) !== DIRECTORY_ENTRY) throw httpError(400, 'The .xlsx workbook is damaged.');
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        if (buffer.readUInt32LE(localOffset) !== LOCAL_HEADER) throw httpError(400, 'The .xlsx workbook is damaged.');
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        const data = buffer.subarray(dataStart, dataStart + compressedSize);
+        if (method === 0) files[name] = data;
+        else if (method === 8) files[name] = inflate(data, Math.min(MAX_ENTRY_BYTES, MAX_TOTAL_BYTES - total));
+        else throw httpError(400, 'The .xlsx workbook uses a compression method that is not supported.');
+        total += files[name].length;
+        if (total > MAX_TOTAL_BYTES) throw httpError(400, 'The .xlsx workbook is too large to import once unpacked.');
+    }
+    return files;
+};
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+    let crc = 0xffffffff;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+// A zip archive of { <path>: string } files, deflated
+const zip = (files) => {
+    const locals = [];
+    const entries = [];
+    let offset = 0;
+    Object.entries(files).forEach(([name, content]) => {
+        const nameBytes = Buffer.from(name, 'utf8');
+        const data = Buffer.from(content, 'utf8');
+        const compressed = zlib.deflateRawSync(data);
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(LOCAL_HEADER, 0);
+        local.writeUInt16LE(20, 4); // version needed
+        local.writeUInt16LE(0x0800, 6); // UTF-8 names
+        local.writeUInt16LE(8, 8); // deflate
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(nameBytes.length, 26);
+        locals.push(local, nameBytes, compressed);
+
+        const entry = Buffer.alloc(46);
+        entry.writeUInt32LE(DIRECTORY_ENTRY, 0);
+        entry.writeUInt16LE(20, 4); // made by
+        entry.writeUInt16LE(20, 6);
+        entry.writeUInt16LE(0x0800, 8);
+        entry.writeUInt16LE(8, 10);
+        entry.writeUInt32LE(crc, 16);
+        entry.writeUInt32LE(compressed.length, 20);
+        entry.writeUInt32LE(data.length, 24);
+        entry.writeUInt16LE(nameBytes.length, 28);
+        entry.writeUInt32LE(offset, 42);
+        entries.push(entry, nameBytes);
+
+        offset += local.length + nameBytes.length + compressed.length;
+    });
+
+    const directory = Buffer.concat(entries);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(END_OF_DIRECTORY, 0);
+    end.writeUInt16LE(Object.keys(files).length, 8);
+    end.writeUInt16LE(Object.keys(files).length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...locals, directory, end]);
+};
+
+// --- Worksheet XML ---
+
+const decodeXml = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (entity, code) => {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }[code.toLowerCase()];
+    if (named) return named;
+    return String.fromCodePoint(code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10));
+});
+
+// The text of every <t> run inside a fragment (a shared string may be split into formatted runs)
+const textOf = (xml) => [...xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map(match => decodeXml(match[1])).join('');
+
+// "C12" -> 2 (zero-based column)
+const columnIndex = (ref) => [...ref.replace(/\d+$/, '')].reduce((sum, letter) => sum * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+
+// Path of the first worksheet, following the workbook's relationships
+const firstSheetPath = (files) => {
+    const workbook = files['xl/workbook.xml'] ? files['xl/workbook.xml'].toString('utf8') : '';
+    const rels = files['xl/_rels/workbook.xml.rels'] ? files['xl/_rels/workbook.xml.rels'].toString('utf8') : '';
+    const sheet = /<sheet\b[^>]*\br:id="([^"]+)"/.exec(workbook) || /<sheet\b[^>]*\bid="([^"]+)"/.exec(workbook);
+    if (sheet) {
+        const rel = [...rels.matchAll(/<Relationship\b[^>]*>/g)].map(match => match[0]).find(tag => tag.includes(`Id="${sheet[1]}"`));
+        const target = rel && /Target="([^"]+)"/.exec(rel);
+        if (target) return target[1].startsWith('/') ? target[1].slice(1) : `xl/${target[1]}`;
+    }
+    return Object.keys(files).filter(name => /^xl\/worksheets\/[^/]+\.xml$/.test(name)).sort()[0];
+};
+
+// Rows of the first worksheet: arrays of strings and numbers, with '' for empty cells
+const readXlsx = (buffer) => {
+    const files = unzip(buffer);
+    const sheetPath = firstSheetPath(files);
+    if (!sheetPath || !files[sheetPath]) throw httpError(400, 'The .xlsx workbook has no worksheet.');
+
+    const sharedStrings = files['xl/sharedStrings.xml']
+        ? [...files['xl/sharedStrings.xml'].toString('utf8').matchAll(/<si>([\s\S]*?)<\/si>/g)].map(match => textOf(match[1]))
+        : [];
+
+    const rows = [];
+    const sheet = files[sheetPath].toString('utf8');
+    for (const rowMatch of sheet.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+        // Rows with nothing in them are left out of the file; keep the numbering the user sees
+        const number = /\br="(\d+)"/.exec(rowMatch[1]);
+        while (number && rows.length < Number(number[1]) - 1) rows.push([]);
+
+        const row = [];
+        for (const cellMatch of (rowMatch[2] || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+            const attributes = cellMatch[1];
+            const body = cellMatch[2] || '';
+            const ref = /\br="([A-Z]+\d+)"/.exec(attributes);
+            const type = (/\bt="(\w+)"/.exec(attributes) || [])[1];
+            const raw = /<v>([\s\S]*?)<\/v>/.exec(body);
+
+            let value = '';
+            if (type === 's') value = raw ? sharedStrings[Number(raw[1])] || '' : '';
+            else if (type === 'inlineStr') value = textOf(body);
+            else if (type === 'str' || type === 'e') value = raw ? decodeXml(raw[1]) : '';
+            else if (type === 'b') value = raw ? raw[1] === '1' : '';
+            else if (raw) value = Number(raw[1]);
+
+            const index = ref ? columnIndex(ref[1]) : row.length;
+            while (row.length < index) row.push('');
+            row[index] = value;
+        }
+        rows.push(row);
+    }
+    return rows;
+};
+
+// An Excel day number (days since 1899-12-30, as stored in a date cell) as YYYY-MM-DD
+const excelDate = (serial) => new Date(Date.UTC(1899, 11, 30) + Math.round(serial) * 86400000).toISOString().slice(0, 10);
+
+const encodeXml = (value) => String(value)
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+    .replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+
+// "A".."Z", "AA".. for a zero-based column
+const columnName = (index) => (index >= 26 ? columnName(Math.floor(index / 26) - 1) : '') + String.fromCharCode(65 + (index % 26));
+
+// A workbook with one sheet built from `columns` ([{ key, label }]) and row objects, like toCsv.
+// Numbers stay numbers so they can be added up; the heading row is bold and frozen.
+const toXlsx = (columns, rows, sheetName = 'Sheet1') => {
+    const cell = (value, ref, style) => {
+        if (value == null || value === '') return '';
+        if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"${style}><v>${value}</v></c>`;
+        return `<c r="${ref}" t="inlineStr"${style}><is><t xml:space="preserve">${encodeXml(value)}</t></is></c>`;
+    };
+    const rowXml = (values, number, style = '') => `<row r="${number}">${values.map((value, i) => cell(value, `${columnName(i)}${number}`, style)).join('')}</row>`;
+
+    const sheet = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+        + '<sheetData>'
+        + rowXml(columns.map(column => column.label), 1, ' s="1"')
+        + rows.map((row, i) => rowXml(columns.map(column => row[column.key]), i + 2)).join('')
+        + '</sheetData></worksheet>';
+
+    return zip({
+        '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+            + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+            + '<Default Extension="xml" ContentType="application/xml"/>'
+            + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+            + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+            + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+            + '</Types>',
+        '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+            + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+            + '</Relationships>',
+        'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+            + `<sheets><sheet name="${encodeXml(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>`
+            + '</workbook>',
+        'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+            + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+            + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+            + '</Relationships>',
+        'xl/styles.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+            + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+            + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+            + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+            + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+            + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+            + '</styleSheet>',
+        'xl/worksheets/sheet1.xml': sheet
+    });
+};
+
+module.exports = { readXlsx, excelDate, toXlsx };
@@ -0,0 +1,89 @@
+const express = require('express');
+const { httpError, asyncHandler } = require('../lib/http');
+const { requestContext } = require('../lib/requestContext');
+const { dateRangeFilter } = require('../lib/dates');
+const { ADJUSTMENT_REASONS, canIncrease, recordAdjustment } = require('../lib/adjustments');
+const { requireRole } = require('../lib/auth');
+
+// --- Stock Adjustment Routes (/api/adjustments) ---
+
+// Apply the from/to/reason/medicine filters of the history endpoint
+const filterAdjustments = (adjustments, query) => {
+    const { from, to, reason, medicine } = query;
+    const inRange = dateRangeFilter(from, to);
+    if (!inRange) throw httpError(400, 'Invalid date filter. Use YYYY-MM-DD for from and to.');
+    if (reason && !ADJUSTMENT_REASONS.includes(reason)) {
+        throw httpError(400, `Invalid reason. Use one of: ${ADJUSTMENT_REASONS.join(', ')}.`);
+    }
+
+    return adjustments.filter(adjustment => {
+        if (!inRange(adjustment.timestamp)) return false;
+        if (reason && adjustment.reason !== reason) return false;
+        if (medicine && adjustment.medicine.toLowerCase() !== String(medicine).toLowerCase()) return false;
+        return true;
+    });
+};
+
+module.exports = ({ store }) => {
+    const router = express.Router();
+    const manageStock = requireRole('owner', 'pharmacist');
+
+    // 1. POST Record Adjustment: { batchId, reason, quantity (signed), note }
+    router.post('/', manageStock, asyncHandler(async (req, res) => {
+        const { batchId, reason, quantity, note } = req.body;
+        const change = Number(quantity);
+
+        if (!batchId) throw httpError(400, 'batchId is required.');
+        if (!ADJUSTMENT_REASONS.includes(reason)) {
+            throw httpError(400, `A reason is required. Use one of: ${ADJUSTMENT_REASONS.join(', ')}.`);
+        }
+        if (!Number.isInteger(change) || change === 0) {
+            throw httpError(400, 'Quantity must be a whole number other than zero (negative removes stock).');
+        }
+        if (change > 0 && !canIncrease(reason)) {
+            throw httpError(400, `A ${reason} adjustment can only remove stock; use a negative quantity.`);
+        }
+        if (!String(note || '').trim()) throw httpError(400, 'A note explaining the adjustment is required.');
+
+        const adjustment = await store.transaction(tx => {
+            const batch = tx.get('batches', batchId);
+            if (!batch) throw httpError(404, `No stock item with id ${batchId}.`);
+            return recordAdjustment(tx, batch, { reason, quantity: change, note: String(note).trim() });
+        }, requestContext(req));
+
+        res.status(201).json({
+            message: `${adjustment.medicine} (${adjustment.strength}) adjusted by ${change} units (${reason}).`,
+            adjustment
+        });
+    }));
+
+    // 2. GET Adjustment History (newest first, paginated) with unit totals per reason
+    router.get('/', asyncHandler(async (req, res) => {
+        const adjustments = filterAdjustments(await store.read(tx => tx.all('adjustments')), req.query);
+
+        const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+        const limit = Math.min(500, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+        adjustments.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+        const byReason = {};
+        ADJUSTMENT_REASONS.forEach(reason => { byReason[reason] = { adjustments: 0, units: 0 }; });
+        adjustments.forEach(adjustment => {
+            byReason[adjustment.reason].adjustments += 1;
+            byReason[adjustment.reason].units += adjustment.quantity;
+        });
+
+        res.json({
+            adjustments: adjustments.slice((page - 1) * limit, page * limit),
+            pagination: { page, limit, total: adjustments.length, pages: Math.ceil(adjustments.length / limit) },
+            totals: {
+                adjustments: adjustments.length,
+                unitsRemoved: adjustments.filter(a => a.quantity < 0).reduce((sum, a) => sum - a.quantity, 0),
+                unitsAdded: adjustments.filter(a => a.quantity > 0).reduce((sum, a) => sum + a.quantity, 0),
+                byReason
+            }
+        });
+    }));
+
+    return router;
+};
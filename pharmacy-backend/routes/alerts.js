@@ -0,0 +1,110 @@
+const express = require('express');
+const { asyncHandler } = require('../lib/http');
+const { today } = require('../lib/dates');
+const { byExpiry, sellableQuantity, lowStockLevel, toInventoryItem } = require('../lib/stock');
+const { expiryStatus } = require('../lib/expiry');
+const { lotPrices, valueLots } = require('../lib/valuation');
+const { parseLocationFilter, atLocation } = require('../lib/locations');
+
+// --- Alert Routes (/api/alerts) ---
+
+// Add up a list of lots for the expiry report: `value` is at purchase cost, `mrpValue` at MRP
+const totalsFor = (lots, products) => {
+    const { batches, units, costValue, mrpValue, unpricedUnits } = valueLots(lots, products);
+    return { batches, skus: new Set(lots.map(lot => lot.productId)).size, units, value: costValue, mrpValue, unpricedUnits };
+};
+
+module.exports = ({ store, config }) => {
+    const router = express.Router();
+
+    // 1. GET Low Stock: SKUs whose sellable stock (all unexpired batches added up) is at or below
+    //    their reorder point; 'critical' ones are at or below their minimum level and listed first.
+    //    ?locationId= counts the stock at one location only.
+    router.get('/low-stock', asyncHandler(async (req, res) => {
+        const { products, batches: allBatches, locations } = await store.read(tx => ({
+            products: tx.all('products'),
+            batches: tx.all('batches'),
+            locations: tx.all('locations')
+        }));
+        const batches = atLocation(allBatches, parseLocationFilter(locations, req.query.locationId));
+
+        const items = products
+            .map(product => {
+                const quantity = sellableQuantity(batches, product.id);
+                return {
+                    productId: product.id,
+                    name: product.name,
+                    strength: product.strength,
+                    quantity,
+                    minLevel: product.minLevel,
+                    reorderPoint: product.reorderPoint,
+                    reorderQuantity: product.reorderQuantity,
+                    level: lowStockLevel(product, quantity)
+                };
+            })
+            .filter(item => item.level)
+            .sort((a, b) => (a.level === b.level ? 0 : a.level === 'critical' ? -1 : 1) || a.name.localeCompare(b.name));
+
+        res.json({
+            items,
+            totals: {
+                critical: items.filter(item => item.level === 'critical').length,
+                reorder: items.filter(item => item.level === 'reorder').length,
+                // SKUs nobody has set thresholds for yet can't raise alerts
+                unconfigured: products.filter(p => p.minLevel == null && p.reorderPoint == null).length
+            }
+        });
+    }));
+
+    // 2. GET Expiry: stock in each expiry window (expired, soon, near) with units and value at risk.
+    //    Value is at purchase cost (and at MRP in mrpValue); `unpricedUnits` counts units whose lot has
+    //    no purchase price. ?locationId= reports the stock at one location only.
+    router.get('/expiry', asyncHandler(async (req, res) => {
+        const { products, batches: allBatches, locations } = await store.read(tx => ({
+            products: tx.all('products'),
+            batches: tx.all('batches'),
+            locations: tx.all('locations')
+        }));
+        const batches = atLocation(allBatches, parseLocationFilter(locations, req.query.locationId));
+
+        const { soonDays, nearDays } = config.expiryWindows;
+        const windows = [
+            { key: 'expired', label: 'Expired', fromDays: null, toDays: -1 },
+            { key: 'soon', label: `≤${soonDays}d`, fromDays: 0, toDays: soonDays },
+            { key: 'near', label: `≤${nearDays}d`, fromDays: soonDays + 1, toDays: nearDays }
+        ];
+
+        const atRisk = batches
+            .filter(batch => batch.quantity > 0)
+            .map(batch => ({ batch, status: expiryStatus(batch.expiryDate, config.expiryWindows) }))
+            .filter(({ status }) => windows.some(window => window.key === status.key));
+
+        const report = windows.map(window => {
+            const entries = atRisk
+                .filter(({ status }) => status.key === window.key)
+                .sort((a, b) => byExpiry(a.batch, b.batch));
+            return {
+                ...window,
+                ...totalsFor(entries.map(({ batch }) => batch), products),
+                items: entries.map(({ batch, status }) => {
+                    const product = products.find(p => p.id === batch.productId);
+                    const { cost, mrp } = lotPrices(batch, product);
+                    return {
+                        ...toInventoryItem(batch, product),
+                        daysToExpiry: status.daysToExpiry,
+                        value: cost != null ? Math.round(batch.quantity * cost * 100) / 100 : null,
+                        mrpValue: mrp != null ? Math.round(batch.quantity * mrp * 100) / 100 : null
+                    };
+                })
+            };
+        });
+
+        res.json({
+            asOf: today(),
+            windows: report,
+            totals: totalsFor(atRisk.map(({ batch }) => batch), products)
+        });
+    }));
+
+    return router;
+};
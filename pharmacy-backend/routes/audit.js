@@ -0,0 +1,56 @@
+const express = require('express');
+const { httpError, asyncHandler } = require('../lib/http');
+const { dateRangeFilter } = require('../lib/dates');
+const { requireRole } = require('../lib/auth');
+const { AUDIT_COLLECTION } = require('../storage/audit');
+
+// --- Audit Log Routes (/api/audit) ---
+// Read-only: entries are written by the store (storage/audit.js) as records change. Owners and pharmacists only.
+
+const ACTIONS = ['create', 'update', 'delete', 'restore'];
+
+// Apply the filters: from, to, action, collection, recordId, productId (the product and its batches,
+// sales, adjustments...), actor (username or user id) and source (page)
+const filterEntries = (entries, query) => {
+    const { from, to, action, collection, recordId, productId, actor, source } = query;
+    const inRange = dateRangeFilter(from, to);
+    if (!inRange) throw httpError(400, 'Invalid date filter. Use YYYY-MM-DD for from and to.');
+    if (action && !ACTIONS.includes(action)) throw httpError(400, `Invalid action. Use one of: ${ACTIONS.join(', ')}.`);
+
+    const touchesProduct = (entry) => entry.recordId === productId
+        || [entry.before, entry.after].some(record => record && record.productId === productId);
+
+    return entries.filter(entry => {
+        if (!inRange(entry.timestamp)) return false;
+        if (action && entry.action !== action) return false;
+        if (collection && entry.collection !== collection) return false;
+        if (recordId && entry.recordId !== recordId) return false;
+        if (productId && !touchesProduct(entry)) return false;
+        if (actor && !(entry.actor && (entry.actor.username === String(actor).toLowerCase() || entry.actor.id === actor))) return false;
+        if (source && entry.source !== source) return false;
+        return true;
+    });
+};
+
+module.exports = ({ store }) => {
+    const router = express.Router();
+    router.use(requireRole('owner', 'pharmacist'));
+
+    // 1. GET Audit Log (newest first, paginated), filtered as above
+    router.get('/', asyncHandler(async (req, res) => {
+        const entries = filterEntries(await store.read(tx => tx.all(AUDIT_COLLECTION)), req.query);
+        const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+        const limit = Math.min(500, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+        // Entries of one transaction share a timestamp; keep them in the order they were written
+        const order = new Map(entries.map((entry, index) => [entry.id, index]));
+        entries.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp) || order.get(a.id) - order.get(b.id));
+
+        res.json({
+            entries: entries.slice((page - 1) * limit, page * limit),
+            pagination: { page, limit, total: entries.length, pages: Math.ceil(entries.length / limit) }
+        });
+    }));
+
+    return router;
+};
@@ -0,0 +1,100 @@
+const express = require('express');
+const { httpError, asyncHandler } = require('../lib/http');
+const { requestContext } = require('../lib/requestContext');
+const { verifyPassword, hashPassword, checkPasswordStrength, newSessionToken, toUserView } = require('../lib/auth');
+const { PROFILE_FIELDS, parseProfileFields, newUser } = require('../lib/users');
+
+// --- Auth Routes (/api/auth) ---
+//
+// Login, logout and the logged-in user's own profile. `requireLogin` is the authenticate middleware
+// from lib/auth.js; status, setup and login are open to everyone.
+
+module.exports = ({ store, config, requireLogin }) => {
+    const router = express.Router();
+
+    // 1. GET Status: whether the first (owner) account still needs to be created
+    router.get('/status', asyncHandler(async (req, res) => {
+        const users = await store.read(tx => tx.all('users'));
+        res.json({ setupRequired: users.length === 0 });
+    }));
+
+    // Start a session for `user`, dropping any of theirs that have expired
+    const startSession = (tx, user) => {
+        const now = new Date();
+        tx.all('sessions')
+            .filter(session => new Date(session.expiresAt) <= now)
+            .forEach(session => tx.remove('sessions', session.id));
+
+        const { token, id } = newSessionToken();
+        const expiresAt = new Date(now.getTime() + config.sessionHours * 3600000).toISOString();
+        tx.insert('sessions', { id, userId: user.id, createdAt: now.toISOString(), expiresAt });
+        return { token, expiresAt, user: toUserView(user) };
+    };
+
+    // 2. POST Setup: create the first account, an owner, and log it in. Only works while there are no users.
+    router.post('/setup', asyncHandler(async (req, res) => {
+        const session = await store.transaction(tx => {
+            if (tx.all('users').length) throw httpError(409, 'Setup is already done. Log in instead.');
+            const user = tx.insert('users', newUser(tx, { ...req.body, role: 'owner' }));
+            return startSession(tx, user);
+        }, requestContext(req));
+        res.status(201).json({ message: `Owner account ${session.user.username} created.`, ...session });
+    }));
+
+    // 3. POST Login: { username, password } → { token, expiresAt, user }
+    router.post('/login', asyncHandler(async (req, res) => {
+        const { username, password } = req.body || {};
+        const session = await store.transaction(tx => {
+            const user = tx.all('users').find(u => u.username === String(username || '').trim().toLowerCase());
+            // Same answer for an unknown user and a wrong password
+            if (!user || !verifyPassword(password, user.passwordHash)) throw httpError(401, 'Wrong username or password.');
+            if (!user.active) throw httpError(403, 'This account has been deactivated.');
+            return startSession(tx, user);
+        }, requestContext(req));
+        res.json({ message: `Welcome, ${session.user.name}.`, ...session });
+    }));
+
+    // 4. POST Logout: end this session
+    router.post('/logout', requireLogin, asyncHandler(async (req, res) => {
+        await store.transaction(tx => tx.remove('sessions', req.sessionId), requestContext(req));
+        res.json({ message: 'Logged out.' });
+    }));
+
+    // 5. GET Me: the logged-in user
+    router.get('/me', requireLogin, (req, res) => {
+        res.json(req.user);
+    });
+
+    // 6. PATCH Me: update your own profile (name, email, phone, position, department, joinDate, about,
+    //    avatar and notification settings). Roles and usernames are changed by an owner under /api/users.
+    router.patch('/me', requireLogin, asyncHandler(async (req, res) => {
+        const body = req.body || {};
+        const unknown = Object.keys(body).filter(key => !PROFILE_FIELDS.includes(key));
+        if (unknown.length) throw httpError(400, `Unknown fields: ${unknown.join(', ')}.`);
+        const fields = parseProfileFields(body);
+
+        const user = await store.transaction(tx => {
+            const current = tx.get('users', req.user.id);
+            return tx.update('users', current.id, { ...current, ...fields });
+        }, requestContext(req));
+        res.json({ message: 'Profile saved.', user: toUserView(user) });
+    }));
+
+    // 7. POST Change Password: { currentPassword, newPassword }. Other sessions of this user are ended.
+    router.post('/me/password', requireLogin, asyncHandler(async (req, res) => {
+        const { currentPassword, newPassword } = req.body || {};
+        checkPasswordStrength(newPassword);
+
+        await store.transaction(tx => {
+            const current = tx.get('users', req.user.id);
+            if (!verifyPassword(currentPassword, current.passwordHash)) throw httpError(400, 'Current password is wrong.');
+            tx.update('users', current.id, { ...current, passwordHash: hashPassword(newPassword) });
+            tx.all('sessions')
+                .filter(session => session.userId === current.id && session.id !== req.sessionId)
+                .forEach(session => tx.remove('sessions', session.id));
+        }, requestContext(req));
+        res.json({ message: 'Password changed.' });
+    }));
+
+    return router;
+};
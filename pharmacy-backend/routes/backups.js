@@ -0,0 +1,25 @@
+const express = require('express');
+const { asyncHandler } = require('../lib/http');
+const { requestContext } = require('../lib/requestContext');
+const { requireRole } = require('../lib/auth');
+
+// --- Backup Routes (/api/backups) ---
+// Owners only: a restore replaces everyone's data, apart from the user accounts and who is logged in.
+
+module.exports = ({ store }) => {
+    const router = express.Router();
+    router.use(requireRole('owner'));
+
+    // 1. GET Backups, newest first
+    router.get('/', asyncHandler(async (req, res) => {
+        res.json(await store.listBackups());
+    }));
+
+    // 2. POST Restore a backup. Whatever is there now is backed up first, so this can be undone.
+    router.post('/:id/restore', asyncHandler(async (req, res) => {
+        await store.restoreBackup(req.params.id, requestContext(req));
+        res.json({ message: `Restored backup ${req.params.id}. The previous data was saved as a pre-restore backup.` });
+    }));
+
+    return router;
+};
@@ -0,0 +1,48 @@
+const express = require('express');
+const { httpError, asyncHandler } = require('../lib/http');
+const { parseBarcode } = require('../lib/barcodes');
+const { findProductByEan, toProductView, toInventoryItem } = require('../lib/stock');
+const { expiryStatus } = require('../lib/expiry');
+const { parseLocationFilter, atLocation } = require('../lib/locations');
+
+// --- Barcode Routes (/api/barcodes) ---
+// What a scanned pack is: the receiving and sale forms look codes up here as they are scanned.
+
+const sameBatchNumber = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+module.exports = ({ store, config }) => {
+    const router = express.Router();
+
+    // 1. GET Look up ?code=<EAN/GTIN, or a GS1 DataMatrix or GS1-128 element string>. Returns what the
+    //    code carries { format, gtin, batchNumber, expiryDate, serialNumber }, the catalogue product with
+    //    that GTIN (null when the pack isn't in the catalogue yet) and, when the code names a batch, the
+    //    lot of it in stock (null when none matches; a code with an expiry must match that too), at
+    //    ?locationId= when given.
+    router.get('/', asyncHandler(async (req, res) => {
+        const code = String(req.query.code || '');
+        if (!code.trim()) throw httpError(400, 'code is required.');
+        const scanned = parseBarcode(code);
+        if (!scanned) throw httpError(400, 'This is not a barcode we can read. Scan the EAN or the GS1 DataMatrix code on the pack.');
+
+        const { products, batches, locations } = await store.read(tx => ({
+            products: tx.all('products'),
+            batches: tx.all('batches'),
+            locations: tx.all('locations')
+        }));
+        const product = findProductByEan(products, scanned.gtin) || null;
+        const lots = atLocation(batches, parseLocationFilter(locations, req.query.locationId));
+        const lot = product && scanned.batchNumber ? lots.find(batch =>
+            batch.productId === product.id &&
+            sameBatchNumber(batch.batchNumber, scanned.batchNumber) &&
+            (!scanned.expiryDate || batch.expiryDate === scanned.expiryDate)
+        ) : null;
+
+        res.json({
+            ...scanned,
+            product: product ? toProductView(product, batches) : null,
+            batch: lot ? { ...toInventoryItem(lot, product), expiryStatus: expiryStatus(lot.expiryDate, config.expiryWindows) } : null
+        });
+    }));
+
+    return router;
+};
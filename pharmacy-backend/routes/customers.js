@@ -0,0 +1,162 @@
+const express = require('express');
+const { httpError, asyncHandler } = require('../lib/http');
+const { requestContext } = require('../lib/requestContext');
+const { newId } = require('../lib/ids');
+const { dateRangeFilter, parseDateParam, today } = require('../lib/dates');
+const { runsOutOn } = require('../lib/customers');
+
+// --- Customer Routes (/api/customers) ---
+
+const FIELDS = ['name', 'phone', 'address', 'allergies', 'notes'];
+
+// Check a POST (name required) or PATCH (any subset) body and return the cleaned-up fields that were sent
+const parseCustomerFields = (body, { partial }) => {
+    const unknown = Object.keys(body).filter(key => !FIELDS.includes(key) && key !== 'id');
+    if (unknown.length) throw httpError(400, `Unknown fields: ${unknown.join(', ')}.`);
+    if (!partial && !String(body.name || '').trim()) throw httpError(400, 'Customer name is required.');
+
+    const fields = {};
+    FIELDS.filter(key => body[key] !== undefined).forEach(key => {
+        fields[key] = body[key] == null ? '' : String(body[key]).trim();
+    });
+    if (fields.name === '') throw httpError(400, 'Customer name cannot be empty.');
+    return fields;
+};
+
+// Phone numbers are how customers are looked up at the counter, so no two customers share one
+const normalizePhone = (phone) => String(phone || '').replace(/[^\d+]/g, '');
+const assertUniquePhone = (tx, phone, exceptId) => {
+    if (!normalizePhone(phone)) return;
+    const clash = tx.all('customers').find(c => c.id !== exceptId && normalizePhone(c.phone) === normalizePhone(phone));
+    if (clash) throw httpError(409, `${clash.name} already has the phone number ${clash.phone}.`);
+};
+
+module.exports = ({ store }) => {
+    const router = express.Router();
+
+    // 1. GET Customers, sorted by name; ?q= matches name or phone (the counter lookup)
+    router.get('/', asyncHandler(async (req, res) => {
+        const q = String(req.query.q || '').trim().toLowerCase();
+        const digits = normalizePhone(q);
+        const customers = await store.read(tx => tx.all('customers'));
+        res.json(customers
+            .filter(c => !q || c.name.toLowerCase().includes(q) || (digits && normalizePhone(c.phone).includes(digits)))
+            .sort((a, b) => a.name.localeCompare(b.name)));
+    }));
+
+    // 2. GET Refills Due: for each customer's chronic medication (sales with a daily dose), the day their
+    //    supply runs out, when that is on or before ?withinDays= days from today (default 7).
+    //    Overdue refills (already run out) are included, most overdue first.
+    router.get('/refills-due', asyncHandler(async (req, res) => {
+        const withinDays = req.query.withinDays == null || req.query.withinDays === '' ? 7 : Number(req.query.withinDays);
+        if (!Number.isInteger(withinDays) || withinDays < 0) throw httpError(400, 'withinDays must be a whole number of zero or more.');
+
+        const { customers, sales } = await store.read(tx => ({ customers: tx.all('customers'), sales: tx.all('sales') }));
+        const horizon = parseDateParam(today());
+        horizon.setDate(horizon.getDate() + withinDays);
+
+        // Follow each customer's purchases of each SKU in order; a purchase without a dose keeps the last dose known
+        const supply = new Map();
+        sales
+            .filter(sale => sale.customerId && sale.productId)
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+            .forEach(sale => {
+                const key = `${sale.customerId}|${sale.productId}`;
+                const previous = supply.get(key) || { dailyDose: null, dueOn: null };
+                const dailyDose = sale.dailyDose || previous.dailyDose;
+                supply.set(key, { sale, dailyDose, dueOn: dailyDose ? runsOutOn(sale, dailyDose, previous.dueOn) : null });
+            });
+
+        const items = Array.from(supply.values())
+            .filter(({ dailyDose }) => dailyDose)
+            .map(({ sale, dailyDose, dueOn }) => {
+                const customer = customers.find(c => c.id === sale.customerId) || {};
+                return {
+                    customerId: sale.customerId,
+                    customerName: customer.name,
+                    phone: customer.phone,
+                    productId: sale.productId,
+                    medicine: sale.medicine,
+                    strength: sale.strength,
+                    lastPurchased: sale.timestamp,
+                    quantity: sale.quantity,
+                    dailyDose,
+                    dueOn,
+                    daysLeft: Math.round((parseDateParam(dueOn) - parseDateParam(today())) / 86400000)
+                };
+            })
+            .filter(item => parseDateParam(item.dueOn) <= horizon)
+            .sort((a, b) => a.dueOn.localeCompare(b.dueOn) || a.customerName.localeCompare(b.customerName));
+
+        res.json({ asOf: today(), withinDays, items, totals: { due: items.length, overdue: items.filter(item => item.daysLeft < 0).length } });
+    }));
+
+    // 3. GET one customer
+    router.get('/:id', asyncHandler(async (req, res) => {
+        const customer = await store.read(tx => tx.get('customers', req.params.id));
+        if (!customer) throw httpError(404, `No customer with id ${req.params.id}.`);
+        res.json(customer);
+    }));
+
+    // 4. GET Purchase History: the customer's sales and invoices, newest first, optionally between ?from= and ?to=
+    router.get('/:id/history', asyncHandler(async (req, res) => {
+        const inRange = dateRangeFilter(req.query.from, req.query.to);
+        if (!inRange) throw httpError(400, 'Invalid date filter. Use YYYY-MM-DD for from and to.');
+
+        const { customer, sales, invoices } = await store.read(tx => ({
+            customer: tx.get('customers', req.params.id),
+            sales: tx.all('sales').filter(sale => sale.customerId === req.params.id && inRange(sale.timestamp)),
+            invoices: tx.all('invoices').filter(invoice => invoice.customerId === req.params.id && inRange(invoice.timestamp))
+        }));
+        if (!customer) throw httpError(404, `No customer with id ${req.params.id}.`);
+
+        const newestFirst = (a, b) => new Date(b.timestamp) - new Date(a.timestamp);
+        res.json({
+            customer,
+            sales: sales.sort(newestFirst),
+            invoices: invoices.sort(newestFirst),
+            totals: {
+                sales: sales.length,
+                units: sales.reduce((sum, sale) => sum + sale.quantity, 0),
+                invoices: invoices.length,
+                amount: Math.round(invoices.reduce((sum, invoice) => sum + invoice.totals.total, 0) * 100) / 100
+            }
+        });
+    }));
+
+    // 5. POST Add Customer
+    router.post('/', asyncHandler(async (req, res) => {
+        const fields = parseCustomerFields(req.body || {}, { partial: false });
+
+        const customer = await store.transaction(tx => {
+            assertUniquePhone(tx, fields.phone);
+            return tx.insert('customers', {
+                id: newId(),
+                name: fields.name,
+                phone: fields.phone || '',
+                address: fields.address || '',
+                allergies: fields.allergies || '',
+                notes: fields.notes || '',
+                createdAt: new Date().toISOString()
+            });
+        }, requestContext(req));
+
+        res.status(201).json({ message: `Customer ${customer.name} added.`, customer });
+    }));
+
+    // 6. PATCH Customer: change any of its fields
+    router.patch('/:id', asyncHandler(async (req, res) => {
+        const fields = parseCustomerFields(req.body || {}, { partial: true });
+
+        const customer = await store.transaction(tx => {
+            const current = tx.get('customers', req.params.id);
+            if (!current) throw httpError(404, `No customer with id ${req.params.id}.`);
+            if (fields.phone) assertUniquePhone(tx, fields.phone, current.id);
+            return tx.update('customers', current.id, { ...current, ...fields });
+        }, requestContext(req));
+
+        res.json({ message: `Customer ${customer.name} updated.`, customer });
+    }));
+
+    return router;
+};
@@ -0,0 +1,129 @@
+const express = require('express');
+const { httpError, asyncHandler } = require('../lib/http');
+const { requestContext } = require('../lib/requestContext');
+const { newId } = require('../lib/ids');
+const { today, parseDateParam, dateRangeFilter } = require('../lib/dates');
+const { byExpiry, isExpired, toInventoryItem } = require('../lib/stock');
+const { recordAdjustment } = require('../lib/adjustments');
+const { requireRole } = require('../lib/auth');
+const { parseLocationFilter, atLocation } = require('../lib/locations');
+
+// --- Expired Stock Routes (/api/disposals) ---
+//
+// Lots past their expiry date can't be sold, so they sit in quarantine until they are disposed of.
+// A disposal zeroes the lots through `expiry-disposal` adjustments and keeps one record of what was
+// destroyed or returned, how, and under which reference (e.g. the waste contractor's receipt).
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+module.exports = ({ store }) => {
+    const router = express.Router();
+    const manageStock = requireRole('owner', 'pharmacist');
+
+    // 1. GET Quarantine Queue: expired lots still holding stock, oldest expiry first.
+    //    ?locationId= lists the lots at one location only.
+    router.get('/queue', asyncHandler(async (req, res) => {
+        const { products, batches: allBatches, locations } = await store.read(tx => ({
+            products: tx.all('products'),
+            batches: tx.all('batches'),
+            locations: tx.all('locations')
+        }));
+        const batches = atLocation(allBatches, parseLocationFilter(locations, req.query.locationId));
+
+        const now = parseDateParam(today());
+        const queue = batches
+            .filter(batch => batch.quantity > 0 && isExpired(batch))
+            .sort(byExpiry)
+            .map(batch => ({
+                ...toInventoryItem(batch, products.find(p => p.id === batch.productId)),
+                daysExpired: Math.round((now - parseDateParam(batch.expiryDate)) / DAY_MS)
+            }));
+
+        res.json({
+            batches: queue,
+            totals: { batches: queue.length, units: queue.reduce((sum, item) => sum + item.quantity, 0) }
+        });
+    }));
+
+    // 2. POST Dispose: { batchIds (default: the whole queue), method, reference, note }
+    router.post('/', manageStock, asyncHandler(async (req, res) => {
+        const { batchIds, method, reference, note } = req.body;
+
+        if (!String(method || '').trim()) {
+            throw httpError(400, 'A disposal method is required (e.g. incineration, return to supplier).');
+        }
+        if (batchIds !== undefined && (!Array.isArray(batchIds) || !batchIds.length)) {
+            throw httpError(400, 'batchIds must be a non-empty list when given.');
+        }
+        // Each lot is disposed of whole, once; a repeated id would double it in the register
+        const repeated = (batchIds || []).filter((id, index) => batchIds.indexOf(id) !== index);
+        if (repeated.length) {
+            throw httpError(400, `batchIds lists the same batch more than once: ${[...new Set(repeated)].join(', ')}.`);
+        }
+
+        const disposal = await store.transaction(tx => {
+            const queued = tx.all('batches').filter(batch => batch.quantity > 0 && isExpired(batch));
+            let lots = queued;
+            if (batchIds) {
+                lots = batchIds.map(id => {
+                    const lot = queued.find(batch => batch.id === id);
+                    if (!lot) throw httpError(400, `Stock item ${id} is not in the disposal queue (only expired batches with stock are).`);
+                    return lot;
+                });
+            }
+            if (!lots.length) throw httpError(400, 'There is no expired stock to dispose of.');
+
+            const disposalId = newId();
+            const lines = lots.map(lot => {
+                const adjustment = recordAdjustment(tx, lot, {
+                    reason: 'expiry-disposal',
+                    quantity: -lot.quantity,
+                    note: `Disposed of by ${String(method).trim()}${reference ? ` (ref. ${String(reference).trim()})` : ''}`,
+                    disposalId
+                });
+                return {
+                    batchId: lot.id,
+                    batchNumber: lot.batchNumber,
+                    productId: adjustment.productId,
+                    medicine: adjustment.medicine,
+                    strength: adjustment.strength,
+                    expiryDate: lot.expiryDate,
+                    quantity: lot.quantity,
+                    adjustmentId: adjustment.id
+                };
+            });
+
+            return tx.insert('disposals', {
+                id: disposalId,
+                timestamp: new Date().toISOString(),
+                method: String(method).trim(),
+                reference: reference ? String(reference).trim() : '',
+                note: note ? String(note).trim() : '',
+                units: lines.reduce((sum, line) => sum + line.quantity, 0),
+                batches: lines
+            });
+        }, requestContext(req));
+
+        res.status(201).json({
+            message: `Disposed of ${disposal.units} expired units from ${disposal.batches.length} batch${disposal.batches.length === 1 ? '' : 'es'}.`,
+            disposal
+        });
+    }));
+
+    // 3. GET Disposal Records (newest first), optionally between ?from= and ?to=
+    router.get('/', asyncHandler(async (req, res) => {
+        const inRange = dateRangeFilter(req.query.from, req.query.to);
+        if (!inRange) throw httpError(400, 'Invalid date filter. Use YYYY-MM-DD for from and to.');
+
+        const disposals = (await store.read(tx => tx.all('disposals')))
+            .filter(disposal => inRange(disposal.timestamp))
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+        res.json({
+            disposals,
+            totals: { disposals: disposals.length, units: disposals.reduce((sum, d) => sum + d.units, 0) }
+        });
+    }));
+
+    return router;
+};
@@ -0,0 +1,14 @@
+const express = require('express');
+
+// --- Live Event Routes (/api/events) ---
+// A Server-Sent Events stream of inventory, sale and alert events (see lib/events.js) for any
+// logged-in user. Pages read it with html/live.js, which sends the session token like any other call.
+
+module.exports = ({ events }) => {
+    const router = express.Router();
+
+    // 1. GET Event Stream: stays open until the client goes away or the session ends
+    router.get('/', (req, res) => events.subscribe(req, res));
+
+    return router;
+};
@@ -0,0 +1,205 @@
+const express = require('express');
+const { httpError, asyncHandler } = require('../lib/http');
+const { toDateKey } = require('../lib/dates');
+const { toCsv } = require('../lib/csv');
+const { toXlsx } = require('../lib/xlsx');
+const { toPdf } = require('../lib/pdf');
+const { toInventoryItem, summarizeSkus, byExpiry } = require('../lib/stock');
+const { expiryStatus } = require('../lib/expiry');
+const { filterSales } = require('../lib/sales');
+const { lotPrices, valueLots } = require('../lib/valuation');
+const { parseLocationFilter, atLocation } = require('../lib/locations');
+
+// --- Export Routes (/api/export) ---
+// Stock and sales as files for the accountant and auditors, with the same filters as the pages.
+// ?format=csv (default), xlsx or pdf.
+
+const CONTENT_TYPES = {
+    csv: 'text/csv',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    pdf: 'application/pdf'
+};
+const STATUSES = ['expired', 'soon', 'near', 'ok', 'unknown'];
+
+const BATCH_COLUMNS = [
+    { key: 'name', label: 'Medicine' },
+    { key: 'strength', label: 'Strength' },
+    { key: 'schedule', label: 'Schedule' },
+    { key: 'batchNumber', label: 'Batch' },
+    { key: 'location', label: 'Location' },
+    { key: 'manufacturer', label: 'Manufacturer' },
+    { key: 'quantity', label: 'Quantity', align: 'right' },
+    { key: 'expiryDate', label: 'Expiry date' },
+    { key: 'status', label: 'Status' },
+    { key: 'receivedDate', label: 'Received' },
+    { key: 'purchasePrice', label: 'Purchase price', align: 'right' },
+    { key: 'mrp', label: 'MRP', align: 'right' },
+    { key: 'sellingPrice', label: 'Selling price', align: 'right' },
+    { key: 'value', label: 'Value at cost', align: 'right' },
+    { key: 'mrpValue', label: 'Value at MRP', align: 'right' }
+];
+
+const SKU_COLUMNS = [
+    { key: 'name', label: 'Medicine' },
+    { key: 'strength', label: 'Strength' },
+    { key: 'schedule', label: 'Schedule' },
+    { key: 'quantity', label: 'Quantity', align: 'right' },
+    { key: 'batchCount', label: 'Batches', align: 'right' },
+    { key: 'expiryDate', label: 'Earliest expiry' },
+    { key: 'status', label: 'Status' },
+    { key: 'lowStock', label: 'Low stock' },
+    { key: 'costValue', label: 'Value at cost', align: 'right' },
+    { key: 'mrpValue', label: 'Value at MRP', align: 'right' }
+];
+
+const SALES_COLUMNS = [
+    { key: 'time', label: 'Date and time' },
+    { key: 'invoiceNumber', label: 'Invoice' },
+    { key: 'medicine', label: 'Medicine' },
+    { key: 'strength', label: 'Strength' },
+    { key: 'quantity', label: 'Quantity', align: 'right' },
+    { key: 'batches', label: 'Batches' },
+    { key: 'location', label: 'Location' },
+    { key: 'customer', label: 'Customer' },
+    { key: 'prescription', label: 'Prescription' }
+];
+
+const parseFormat = (value) => {
+    const format = String(value || 'csv').toLowerCase();
+    if (!CONTENT_TYPES[format]) throw httpError(400, `Invalid format. Use one of: ${Object.keys(CONTENT_TYPES).join(', ')}.`);
+    return format;
+};
+
+// "2026-10-18 14:05" on the pharmacy's clock
+const localTime = (timestamp) => {
+    const date = new Date(timestamp);
+    return `${toDateKey(date)} ${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+};
+
+// Send a table as a file download in the chosen format
+const sendTable = (res, format, { fileName, title, subtitle, columns, rows }) => {
+    const body = format === 'xlsx' ? toXlsx(columns, rows, title)
+        : format === 'pdf' ? toPdf({ title, subtitle, columns, rows })
+            : toCsv(columns, rows);
+    res.attachment(`${fileName}.${format}`);
+    res.type(CONTENT_TYPES[format]).send(body);
+};
+
+module.exports = ({ store, config }) => {
+    const router = express.Router();
+
+    // 1. GET Inventory export: one row per batch, or per SKU with ?view=sku. Filters: status (an
+    //    expiry status key), search (name, strength or batch number), locationId and includeEmpty=true.
+    router.get('/inventory', asyncHandler(async (req, res) => {
+        const format = parseFormat(req.query.format);
+        const { status, includeEmpty } = req.query;
+        const search = String(req.query.search || '').trim().toLowerCase();
+        if (status && status !== 'all' && !STATUSES.includes(status)) {
+            throw httpError(400, `Invalid status. Use one of: ${STATUSES.join(', ')}.`);
+        }
+
+        const { products, batches: allBatches, locations } = await store.read(tx => ({
+            products: tx.all('products'),
+            batches: tx.all('batches'),
+            locations: tx.all('locations')
+        }));
+        const locationId = parseLocationFilter(locations, req.query.locationId);
+        const batches = atLocation(allBatches, locationId);
+        const locationName = (id) => (locations.find(location => location.id === id) || {}).name || '';
+
+        const matches = (item, batchNumbers) => {
+            if (status && status !== 'all' && expiryStatus(item.expiryDate, config.expiryWindows).key !== status) return false;
+            if (!search) return true;
+            return [item.name, item.strength, ...batchNumbers].some(text => String(text || '').toLowerCase().includes(search));
+        };
+
+        const bySku = req.query.view === 'sku';
+        let rows;
+        if (bySku) {
+            rows = summarizeSkus(products, batches)
+                .filter(sku => includeEmpty === 'true' || sku.quantity > 0)
+                .filter(sku => matches(sku, sku.batches.map(lot => lot.batchNumber)))
+                .sort((a, b) => a.name.localeCompare(b.name) || a.strength.localeCompare(b.strength))
+                .map(sku => ({
+                    ...sku,
+                    ...valueLots(sku.batches, products),
+                    status: expiryStatus(sku.expiryDate, config.expiryWindows).label,
+                    lowStock: sku.lowStock === 'critical' ? 'Below minimum' : sku.lowStock === 'reorder' ? 'Reorder' : ''
+                }));
+        } else {
+            rows = batches
+                .filter(batch => includeEmpty === 'true' || batch.quantity > 0)
+                .map(batch => toInventoryItem(batch, products.find(p => p.id === batch.productId)))
+                .filter(item => matches(item, [item.batchNumber]))
+                .sort(byExpiry)
+                .map(item => {
+                    const { cost, mrp } = lotPrices(item, products.find(p => p.id === item.productId));
+                    return {
+                        ...item,
+                        mrp,
+                        location: locationName(item.locationId),
+                        status: expiryStatus(item.expiryDate, config.expiryWindows).label,
+                        value: cost != null ? Math.round(item.quantity * cost * 100) / 100 : null,
+                        mrpValue: mrp != null ? Math.round(item.quantity * mrp * 100) / 100 : null
+                    };
+                });
+        }
+
+        const units = rows.reduce((sum, row) => sum + row.quantity, 0);
+        const filters = [
+            status && status !== 'all' ? `status ${status}` : null,
+            search ? `matching "${search}"` : null,
+            locationId ? `at ${locationName(locationId)}` : null
+        ].filter(Boolean);
+        sendTable(res, format, {
+            fileName: `inventory-${bySku ? 'skus' : 'batches'}-${toDateKey(new Date())}`,
+            title: `${config.pharmacy.name}: stock ${bySku ? 'by SKU' : 'by batch'}`,
+            subtitle: `As of ${localTime(new Date())}. ${rows.length} rows, ${units} units.${filters.length ? ` Filtered to ${filters.join(', ')}.` : ''}`,
+            columns: bySku ? SKU_COLUMNS : BATCH_COLUMNS,
+            rows
+        });
+    }));
+
+    // 2. GET Sales export, oldest first, with the sales history filters: from, to (YYYY-MM-DD),
+    //    medicine, strength, customerId and locationId
+    router.get('/sales', asyncHandler(async (req, res) => {
+        const format = parseFormat(req.query.format);
+        const { sales, invoices, customers, locations } = await store.read(tx => ({
+            sales: tx.all('sales'),
+            invoices: tx.all('invoices'),
+            customers: tx.all('customers'),
+            locations: tx.all('locations')
+        }));
+
+        const rows = filterSales(sales, req.query)
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+            .map(sale => {
+                const invoice = sale.invoiceId ? invoices.find(inv => inv.id === sale.invoiceId) : null;
+                const customer = sale.customerId ? customers.find(c => c.id === sale.customerId) : null;
+                return {
+                    time: localTime(sale.timestamp),
+                    invoiceNumber: invoice ? invoice.number : '',
+                    medicine: sale.medicine,
+                    strength: sale.strength || [...new Set((sale.batches || []).map(line => line.strength))].join(', '),
+                    quantity: sale.quantity,
+                    batches: (sale.batches || []).map(line => `${line.batchNumber || 'no batch no.'} x${line.quantity}`).join(', '),
+                    location: (locations.find(location => location.id === sale.locationId) || {}).name || '',
+                    customer: customer ? customer.name : '',
+                    prescription: sale.prescriptionId ? 'Yes' : ''
+                };
+            });
+
+        const { from, to } = req.query;
+        const span = [from, to].filter(Boolean).join('-to-');
+        const period = from || to ? `${from || 'the start'} to ${to || 'today'}` : 'all dates';
+        sendTable(res, format, {
+            fileName: `sales${span ? `-${span}` : ''}`,
+            title: `${config.pharmacy.name}: sales`,
+            subtitle: `Sales from ${period}: ${rows.length} sales, ${rows.reduce((sum, row) => sum + row.quantity, 0)} units. Exported ${localTime(new Date())}.`,
+            columns: SALES_COLUMNS,
+            rows
+        });
+    }));
+
+    return router;
+};
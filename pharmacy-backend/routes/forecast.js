@@ -0,0 +1,79 @@
+const express = require('express');
+const { httpError, asyncHandler } = require('../lib/http');
+const { today } = require('../lib/dates');
+const { forecastSkus } = require('../lib/forecast');
+const { parseLocationFilter, atLocation } = require('../lib/locations');
+
+// --- Forecast Routes (/api/forecast) ---
+// Demand per SKU from the sales history and the orders to place; see lib/forecast.js for how.
+
+// Read a whole-number query parameter between `min` and `max`
+const dayCount = (query, name, fallback, min, max) => {
+    if (query[name] == null || query[name] === '') return fallback;
+    const days = Number(query[name]);
+    if (!Number.isInteger(days) || days < min || days > max) throw httpError(400, `${name} must be a whole number of days from ${min} to ${max}.`);
+    return days;
+};
+
+// Most urgent first: a stock-out before a delivery could arrive, then the fewest days of cover
+const byUrgency = (a, b) => (b.stockoutBeforeDelivery - a.stockoutBeforeDelivery)
+    || (a.daysOfCover ?? Infinity) - (b.daysOfCover ?? Infinity)
+    || a.name.localeCompare(b.name);
+
+module.exports = ({ store, config }) => {
+    const router = express.Router();
+
+    // 1. GET Forecast: every SKU's forecast demand, days of cover and suggested order, most urgent first.
+    //    ?historyDays= days of sales to learn from (default 56), ?coverDays= how long an order should
+    //    last once it arrives (default 30), ?productId= one SKU, ?suggested=true only SKUs to reorder,
+    //    ?locationId= the demand and stock of one location. Purchase orders aren't placed for a
+    //    location (it is picked when the goods arrive), so open orders count wherever the forecast is for.
+    router.get('/', asyncHandler(async (req, res) => {
+        const historyDays = dayCount(req.query, 'historyDays', 56, 7, 365);
+        const coverDays = dayCount(req.query, 'coverDays', 30, 1, 365);
+
+        const data = await store.read(tx => ({
+            products: tx.all('products'),
+            batches: tx.all('batches'),
+            sales: tx.all('sales'),
+            suppliers: tx.all('suppliers'),
+            orders: tx.all('purchaseOrders'),
+            locations: tx.all('locations')
+        }));
+        const locationId = parseLocationFilter(data.locations, req.query.locationId);
+        if (req.query.productId && !data.products.some(p => p.id === req.query.productId)) {
+            throw httpError(404, `No product with id ${req.query.productId}.`);
+        }
+
+        const skus = forecastSkus({
+            ...data,
+            batches: atLocation(data.batches, locationId),
+            sales: atLocation(data.sales, locationId),
+            products: data.products.filter(p => !req.query.productId || p.id === req.query.productId),
+            historyDays,
+            coverDays,
+            defaultLeadTimeDays: config.defaultLeadTimeDays,
+            expiryWindows: config.expiryWindows
+        })
+            .filter(sku => req.query.suggested !== 'true' || sku.suggestedQuantity > 0)
+            .sort(byUrgency);
+
+        const suggestions = skus.filter(sku => sku.suggestedQuantity > 0);
+        res.json({
+            asOf: today(),
+            locationId,
+            historyDays,
+            coverDays,
+            nearExpiryDays: config.expiryWindows.nearDays,
+            skus,
+            totals: {
+                skus: skus.length,
+                suggestions: suggestions.length,
+                units: suggestions.reduce((sum, sku) => sum + sku.suggestedQuantity, 0),
+                stockoutsBeforeDelivery: skus.filter(sku => sku.stockoutBeforeDelivery).length
+            }
+        });
+    }));
+
+    return router;
+};
@@ -0,0 +1,75 @@
+const express = require('express');
+const { httpError, asyncHandler } = require('../lib/http');
+const { requestContext } = require('../lib/requestContext');
+const { requireRole } = require('../lib/auth');
+const { newProduct, newBatch, assertPriceWithinMrp, findProduct, toInventoryItem } = require('../lib/stock');
+const { getStockLocation } = require('../lib/locations');
+const { FIELDS, decodeFile, readRecords, resolveMapping, checkRows, summarize } = require('../lib/import');
+
+// --- Stock Import Routes (/api/import) ---
+// Owners and pharmacists only, like adding stock by hand.
+
+module.exports = ({ store, config }) => {
+    const router = express.Router();
+
+    router.use(requireRole('owner', 'pharmacist'));
+
+    // 1. POST Import a stock list (CSV, XLSX or JSON):
+    //      { fileName, format?, dataUrl, mapping?: { <field>: <column> | null }, dryRun = true, skipDuplicates = true, locationId? }
+    //    A dry run changes nothing and returns the columns found, the mapping used and every row's
+    //    status, errors and warnings. With dryRun: false the rows are checked again against the
+    //    current stock and the valid ones are added as new batches in one go; rows with errors are
+    //    left out, and so are duplicates unless skipDuplicates is false (never when DUPLICATE_RECEIPTS=reject).
+    //    The batches are put at `locationId` (default: the default location).
+    router.post('/', asyncHandler(async (req, res) => {
+        const body = req.body || {};
+        const file = decodeFile(body);
+        const { columns, records } = readRecords(file);
+        const mapping = resolveMapping(columns, body.mapping || {});
+        const dryRun = body.dryRun !== false;
+        const skipDuplicates = body.skipDuplicates !== false || config.duplicateReceipts === 'reject';
+
+        const preview = {
+            format: file.format,
+            columns,
+            mapping,
+            fields: FIELDS.map(({ key, label, required }) => ({ key, label, required })),
+            unmapped: FIELDS.filter(field => field.required && !mapping[field.key]).map(field => field.key)
+        };
+
+        if (dryRun) {
+            const rows = await store.read(tx => checkRows(records, mapping, { products: tx.all('products'), batches: tx.all('batches') }));
+            return res.json({ dryRun: true, ...preview, rows, totals: summarize(rows) });
+        }
+
+        const { rows, added } = await store.transaction(tx => {
+            const rows = checkRows(records, mapping, { products: tx.all('products'), batches: tx.all('batches') });
+            const accepted = rows.filter(row => row.status === 'ok' || (row.status === 'duplicate' && !skipDuplicates));
+            if (!accepted.length) throw httpError(400, 'Nothing to import: every row has errors or repeats a lot already listed.', { rows, totals: summarize(rows) });
+
+            const location = getStockLocation(tx, body.locationId);
+            const added = accepted.map(({ item }) => {
+                const product = findProduct(tx.all('products'), item.name, item.strength)
+                    || tx.insert('products', newProduct(item.name, item.strength));
+                const lot = newBatch({ productId: product.id, ...item, mrp: item.mrp ?? product.mrp, locationId: location.id });
+                assertPriceWithinMrp(lot);
+                const batch = tx.insert('batches', lot);
+                return toInventoryItem(batch, product);
+            });
+            return { rows, added };
+        }, requestContext(req));
+
+        const totals = summarize(rows);
+        const skipped = rows.length - added.length;
+        res.status(201).json({
+            dryRun: false,
+            ...preview,
+            message: `Imported ${added.length} batches${totals.newSkus ? ` (${totals.newSkus} new SKUs)` : ''}.${skipped ? ` ${skipped} rows were not imported.` : ''}`,
+            imported: added,
+            skipped: rows.filter(row => row.status === 'error' || (row.status === 'duplicate' && skipDuplicates)),
+            totals
+        });
+    }));
+
+    return router;
+};
@@ -0,0 +1,233 @@
+const express = require('express');
+const { httpError, asyncHandler } = require('../lib/http');
+const { requestContext } = require('../lib/requestContext');
+const { parseDateParam } = require('../lib/dates');
+const { newProduct, newBatch, assertPriceWithinMrp, findDuplicateLot, findProduct, byExpiry, batchVersion, toInventoryItem, summarizeSkus } = require('../lib/stock');
+const { expiryStatus } = require('../lib/expiry');
+const { requireRole } = require('../lib/auth');
+const { getStockLocation, parseLocationFilter, atLocation } = require('../lib/locations');
+
+// --- Inventory Routes (/api/inventory) ---
+
+const EDITABLE_FIELDS = ['name', 'strength', 'quantity', 'expiryDate', 'batchNumber', 'manufacturer', 'purchasePrice', 'mrp', 'sellingPrice'];
+const PRICE_FIELDS = { purchasePrice: 'Purchase price', mrp: 'MRP', sellingPrice: 'Selling price' };
+const READ_ONLY_FIELDS = ['id', 'productId', 'genericName', 'receivedDate', 'supplierId', 'purchaseOrderId', 'locationId', 'schedule', 'expiryStatus', 'version']; // accepted (and ignored) so a GET result can be PUT back
+
+// Check the per-unit prices sent: purchase price, MRP and selling price, each a non-negative number or null
+const parsePrices = (body) => {
+    const prices = {};
+    Object.entries(PRICE_FIELDS).filter(([key]) => body[key] !== undefined).forEach(([key, label]) => {
+        const price = body[key] === null || body[key] === '' ? null : Number(body[key]);
+        if (price !== null && !(price >= 0)) throw httpError(400, `${label} must be a non-negative number.`);
+        prices[key] = price;
+    });
+    return prices;
+};
+
+// Check the fields of a PUT (all required fields present) or PATCH (any subset) body.
+// Returns the cleaned-up values for the fields that were sent.
+const parseItemFields = (body, { partial }) => {
+    const unknown = Object.keys(body).filter(key => !EDITABLE_FIELDS.includes(key) && !READ_ONLY_FIELDS.includes(key));
+    if (unknown.length) throw httpError(400, `Unknown fields: ${unknown.join(', ')}.`);
+
+    if (!partial) {
+        const missing = ['name', 'strength', 'quantity', 'expiryDate'].filter(key => body[key] == null || body[key] === '');
+        if (missing.length) throw httpError(400, `Missing required fields: ${missing.join(', ')}.`);
+    }
+
+    const fields = {};
+    ['name', 'strength'].forEach(key => {
+        if (body[key] === undefined) return;
+        if (!String(body[key] || '').trim()) throw httpError(400, `${key} cannot be empty.`);
+        fields[key] = String(body[key]).trim();
+    });
+    if (body.quantity !== undefined) {
+        const quantity = Number(body.quantity);
+        if (!Number.isInteger(quantity) || quantity < 0) throw httpError(400, 'Quantity must be a whole number of zero or more.');
+        fields.quantity = quantity;
+    }
+    if (body.expiryDate !== undefined) {
+        if (!parseDateParam(body.expiryDate)) throw httpError(400, 'expiryDate must be a date in YYYY-MM-DD format.');
+        fields.expiryDate = body.expiryDate;
+    }
+    ['batchNumber', 'manufacturer'].forEach(key => {
+        if (body[key] !== undefined) fields[key] = body[key] ? String(body[key]).trim() : '';
+    });
+    Object.assign(fields, parsePrices(body));
+    return fields;
+};
+
+// Load a batch and its product, or fail with 404
+const getItem = (tx, id) => {
+    const batch = tx.get('batches', id);
+    if (!batch) throw httpError(404, `No stock item with id ${id}.`);
+    return { batch, product: tx.get('products', batch.productId) };
+};
+
+module.exports = ({ store, config }) => {
+    const router = express.Router();
+    const manageStock = requireRole('owner', 'pharmacist');
+
+    // Every item (batch or SKU row) carries its expiry status, so the pages don't work it out themselves
+    const withStatus = (item) => ({ ...item, expiryStatus: expiryStatus(item.expiryDate, config.expiryWindows) });
+    const present = (batch, product) => withStatus(toInventoryItem(batch, product));
+
+    // A change sent with If-Match (the batch version it was made against) is refused when the batch
+    // has changed since, with the current item so the page can show both
+    const assertUnchanged = (req, { batch, product }) => {
+        const expected = String(req.get('If-Match') || '').replace(/"/g, '');
+        if (expected && expected !== batchVersion(batch)) {
+            throw httpError(409, `${product.name} (${product.strength}) was changed by someone else after this edit was made.`, {
+                conflict: true,
+                current: present(batch, product)
+            });
+        }
+    };
+
+    // 1. GET Inventory: one row per batch, or one row per SKU with ?view=sku. ?locationId= lists the
+    //    stock at one location only.
+    router.get('/', asyncHandler(async (req, res) => {
+        const { products, batches: allBatches, locations } = await store.read(tx => ({
+            products: tx.all('products'),
+            batches: tx.all('batches'),
+            locations: tx.all('locations')
+        }));
+        const batches = atLocation(allBatches, parseLocationFilter(locations, req.query.locationId));
+
+        if (req.query.view === 'sku') {
+            const skus = summarizeSkus(products, batches);
+            // Sort SKUs by their earliest expiring lot; SKUs without stock go last
+            skus.sort((a, b) => (a.expiryDate ? new Date(a.expiryDate) : Infinity) - (b.expiryDate ? new Date(b.expiryDate) : Infinity));
+            return res.json(skus.map(sku => ({ ...withStatus(sku), batches: sku.batches.map(withStatus) })));
+        }
+
+        const includeEmpty = req.query.includeEmpty === 'true';
+        const inventory = batches
+            .filter(batch => includeEmpty || batch.quantity > 0)
+            .map(batch => present(batch, products.find(p => p.id === batch.productId)))
+            .sort(byExpiry); // Sort inventory by expiryDate ascending
+        res.json(inventory);
+    }));
+
+    // 2. POST Add Stock (from add-stock.html): every receipt becomes its own batch. The product is
+    //    the catalogue entry `productId`, or else the SKU with that name and strength (added when new).
+    //    Prices per unit are optional: purchasePrice, mrp (the product's MRP when left out) and sellingPrice.
+    //    The stock is put at `locationId` (default: the default location).
+    router.post('/', manageStock, asyncHandler(async (req, res) => {
+        const { productId, name, strength, quantity, expiryDate, batchNumber, manufacturer } = req.body;
+
+        if ((!productId && (!name || !strength)) || quantity == null || !expiryDate) {
+            throw httpError(400, 'Missing required fields: productId (or name and strength), quantity, and expiryDate.');
+        }
+        if (!Number.isInteger(Number(quantity)) || Number(quantity) <= 0) {
+            throw httpError(400, 'Quantity must be a whole number greater than zero.');
+        }
+        if (!parseDateParam(expiryDate)) {
+            throw httpError(400, 'expiryDate must be a date in YYYY-MM-DD format.');
+        }
+        const prices = parsePrices(req.body);
+
+        const { product, batch } = await store.transaction(tx => {
+            // Reuse the SKU when the name and strength are already known
+            let product;
+            if (productId) {
+                product = tx.get('products', productId);
+                if (!product) throw httpError(400, `No product with id ${productId}.`);
+            } else {
+                product = findProduct(tx.all('products'), name, strength) || tx.insert('products', newProduct(name, strength));
+            }
+
+            // Optionally refuse a second receipt of a lot we already hold
+            if (config.duplicateReceipts === 'reject') {
+                if (findDuplicateLot(tx.all('batches'), product.id, batchNumber, expiryDate)) {
+                    throw httpError(409, 'A batch with the same name, strength, batch number and expiry date already exists. Consider updating its quantity instead.');
+                }
+            }
+
+            const lot = newBatch({
+                productId: product.id,
+                batchNumber,
+                manufacturer,
+                quantity,
+                expiryDate,
+                ...prices,
+                mrp: prices.mrp ?? product.mrp,
+                locationId: getStockLocation(tx, req.body.locationId).id
+            });
+            assertPriceWithinMrp(lot);
+            const batch = tx.insert('batches', lot);
+            return { product, batch };
+        }, requestContext(req));
+
+        const lotLabel = batch.batchNumber ? ` batch ${batch.batchNumber}` : '';
+        res.status(201).json({
+            message: `${product.name} (${product.strength})${lotLabel} added to inventory!`,
+            item: present(batch, product)
+        });
+    }));
+
+    // 3. GET one stock item (batch) by id
+    router.get('/:id', asyncHandler(async (req, res) => {
+        const { batch, product } = await store.read(tx => getItem(tx, req.params.id));
+        res.json(present(batch, product));
+    }));
+
+    // 4. PUT / PATCH one stock item. PUT replaces every editable field (optional ones are cleared
+    //    when left out); PATCH changes only the fields sent. A new name or strength moves the
+    //    batch to that SKU, creating it if needed (a new SKU keeps the old one's schedule and
+    //    tax details). Send If-Match: <version> to refuse the edit if the batch has changed since
+    //    it was read.
+    const updateItem = (partial) => asyncHandler(async (req, res) => {
+        const fields = parseItemFields(req.body || {}, { partial });
+
+        const { batch, product } = await store.transaction(tx => {
+            const current = getItem(tx, req.params.id);
+            assertUnchanged(req, current);
+            const next = partial ? { ...current.batch } : {
+                ...current.batch,
+                batchNumber: '',
+                manufacturer: '',
+                purchasePrice: null,
+                mrp: null,
+                sellingPrice: null
+            };
+            ['quantity', 'expiryDate', 'batchNumber', 'manufacturer', ...Object.keys(PRICE_FIELDS)].forEach(key => {
+                if (fields[key] !== undefined) next[key] = fields[key];
+            });
+            assertPriceWithinMrp(next);
+
+            let product = current.product;
+            const name = fields.name || product.name;
+            const strength = fields.strength || product.strength;
+            if (name !== product.name || strength !== product.strength) {
+                const { genericName, dosageForm, manufacturer, schedule, hsnCode, gstRate } = current.product;
+                product = findProduct(tx.all('products'), name, strength)
+                    || tx.insert('products', newProduct(name, strength, { genericName, dosageForm, manufacturer, schedule, hsnCode, gstRate }));
+                next.productId = product.id;
+            }
+
+            const batch = tx.update('batches', next.id, next);
+            return { batch, product };
+        }, requestContext(req));
+
+        res.json({ message: `${product.name} (${product.strength}) updated.`, item: present(batch, product) });
+    });
+    router.put('/:id', manageStock, updateItem(false));
+    router.patch('/:id', manageStock, updateItem(true));
+
+    // 5. DELETE one stock item (batch) by id (owners only), also honouring If-Match. Other batches and strengths
+    //    of the medicine, and its catalogue entry, are untouched.
+    router.delete('/:id', requireRole('owner'), asyncHandler(async (req, res) => {
+        const { batch, product } = await store.transaction(tx => {
+            const item = getItem(tx, req.params.id);
+            assertUnchanged(req, item);
+            tx.remove('batches', item.batch.id);
+            return item;
+        }, requestContext(req));
+
+        const lotLabel = batch.batchNumber ? ` batch ${batch.batchNumber}` : '';
+        res.json({ message: `${product.name} (${product.strength})${lotLabel} deleted.` });
+    }));
+
+    return router;
+};
@@ -0,0 +1,197 @@
+const express = require('express');
+const { httpError, asyncHandler } = require('../lib/http');
+const { requestContext } = require('../lib/requestContext');
+const { newId, nextSequenceNumber } = require('../lib/ids');
+const { dateRangeFilter } = require('../lib/dates');
+const { recordSale } = require('../lib/sales');
+const { GST_RATES, round2, priceLine, hsnSummary, invoiceTotals } = require('../lib/gst');
+const { parsePrescription } = require('../lib/prescriptions');
+const { getLinkedCustomer, parseDailyDose } = require('../lib/customers');
+const { getStockLocation } = require('../lib/locations');
+
+// --- Invoice Routes (/api/invoices) ---
+//
+// A counter sale with several lines. Every line takes its stock through the sales ledger (so sales
+// history and summaries include invoiced sales), and the whole invoice is one transaction: if any
+// line can't be covered, nothing is sold.
+
+const PAYMENT_MODES = ['cash', 'card', 'upi'];
+
+// Check an invoice line against its product; GST rate and HSN code default to the product's own.
+// The MRP charged is the one on each lot sold (see lotMrp); the line's `mrp` only stands in for lots without one.
+const parseLine = (tx, line, index) => {
+    const label = `Line ${index + 1}`;
+    const product = line.productId && tx.get('products', line.productId);
+    if (!product) throw httpError(400, `${label}: a valid productId is required.`);
+
+    const quantity = Number(line.quantity);
+    if (!Number.isInteger(quantity) || quantity <= 0) throw httpError(400, `${label}: quantity must be a whole number above zero.`);
+
+    const mrp = line.mrp != null && line.mrp !== '' ? Number(line.mrp) : null;
+    if (mrp !== null && !(mrp >= 0)) throw httpError(400, `${label}: mrp must be a non-negative number.`);
+
+    const gstRate = line.gstRate != null && line.gstRate !== '' ? Number(line.gstRate) : product.gstRate;
+    if (!GST_RATES.includes(gstRate)) {
+        throw httpError(400, `${label}: GST rate for ${product.name} must be one of ${GST_RATES.join(', ')}. Give one on the line or the product.`);
+    }
+
+    const discountPercent = line.discountPercent != null && line.discountPercent !== '' ? Number(line.discountPercent) : 0;
+    if (!(discountPercent >= 0 && discountPercent <= 100)) throw httpError(400, `${label}: discountPercent must be between 0 and 100.`);
+
+    const hsnCode = line.hsnCode != null ? String(line.hsnCode).trim() : product.hsnCode;
+    if (hsnCode && !/^\d{4,8}$/.test(hsnCode)) throw httpError(400, `${label}: hsnCode must be 4 to 8 digits.`);
+
+    const dailyDose = parseDailyDose(line.dailyDose, `${label}: dailyDose`);
+
+    return { product, quantity, mrp, gstRate, discountPercent, hsnCode, dailyDose };
+};
+
+// The MRP a lot is sold at: printed on the lot, else the one given on the invoice line, else the product's
+const lotMrp = (lot, line) => {
+    const mrp = lot.mrp ?? line.mrp ?? line.product.mrp;
+    if (mrp == null) throw httpError(400, `No MRP for ${line.product.name} (${line.product.strength}). Give one on the line, the batch or the product.`);
+    return mrp;
+};
+
+module.exports = ({ store, config, prescriptionImages }) => {
+    const router = express.Router();
+
+    // 1. POST Create Invoice: { customerId, customer: { name, phone }, paymentMode, prescription, locationId,
+    //    lines: [{ productId, quantity, mrp, discountPercent, gstRate, hsnCode, dailyDose }] }.
+    //    One prescription covers every scheduled drug on the invoice. A linked customer's name and
+    //    phone are printed unless `customer` gives others. The stock comes from `locationId` (default:
+    //    the default location). Each line is charged the MRP of the lots it is sold from; a line
+    //    drawing on lots with different MRPs is printed as one line per MRP.
+    router.post('/', asyncHandler(async (req, res) => {
+        const { customer, paymentMode = 'cash', lines } = req.body;
+        if (!Array.isArray(lines) || !lines.length) throw httpError(400, 'An invoice needs at least one line.');
+        if (!PAYMENT_MODES.includes(paymentMode)) throw httpError(400, `paymentMode must be one of: ${PAYMENT_MODES.join(', ')}.`);
+        const rx = parsePrescription(req.body.prescription);
+        const prescription = rx ? rx.prescription : null;
+
+        const invoice = await prescriptionImages.saveWhile(rx, () => store.transaction(tx => {
+            const linked = getLinkedCustomer(tx, req.body.customerId);
+            const location = getStockLocation(tx, req.body.locationId);
+            const parsed = lines.map((line, index) => parseLine(tx, line, index));
+            const invoiceId = newId();
+            const number = nextSequenceNumber(tx.all('invoices').map(inv => inv.number), 'INV', 6);
+
+            const priced = parsed.flatMap((line, index) => {
+                let sale;
+                try {
+                    sale = recordSale(tx, {
+                        products: [line.product],
+                        medicine: line.product.name,
+                        quantity: line.quantity,
+                        saleMode: config.saleMode,
+                        location,
+                        pricing: (lot) => ({ unitPrice: round2(lotMrp(lot, line) * (1 - line.discountPercent / 100)), gstRate: line.gstRate }),
+                        prescription,
+                        extra: { invoiceId, customerId: linked ? linked.id : null, dailyDose: line.dailyDose }
+                    });
+                } catch (error) {
+                    if (error.status) error.message = `Line ${index + 1}: ${error.message}`;
+                    throw error;
+                }
+
+                // One invoice line per MRP among the lots sold
+                const byMrp = new Map();
+                sale.batches.forEach(({ batchId, batchNumber, expiryDate, quantity }) => {
+                    const mrp = lotMrp(tx.get('batches', batchId), line);
+                    if (!byMrp.has(mrp)) byMrp.set(mrp, []);
+                    byMrp.get(mrp).push({ batchId, batchNumber, expiryDate, quantity });
+                });
+                return Array.from(byMrp, ([mrp, batches]) => {
+                    const quantity = batches.reduce((sum, batch) => sum + batch.quantity, 0);
+                    return {
+                        productId: line.product.id,
+                        name: line.product.name,
+                        strength: line.product.strength,
+                        schedule: line.product.schedule,
+                        hsnCode: line.hsnCode,
+                        gstRate: line.gstRate,
+                        quantity,
+                        mrp,
+                        discountPercent: line.discountPercent,
+                        dailyDose: line.dailyDose,
+                        ...priceLine({ ...line, mrp, quantity }),
+                        saleId: sale.id,
+                        batches
+                    };
+                });
+            });
+
+            return tx.insert('invoices', {
+                id: invoiceId,
+                number,
+                timestamp: new Date().toISOString(),
+                seller: { ...config.pharmacy },
+                customerId: linked ? linked.id : null,
+                customer: {
+                    name: customer && customer.name ? String(customer.name).trim() : (linked ? linked.name : ''),
+                    phone: customer && customer.phone ? String(customer.phone).trim() : (linked ? linked.phone : '')
+                },
+                paymentMode,
+                prescriptionId: prescription ? prescription.id : null,
+                locationId: location.id,
+                lines: priced,
+                hsnSummary: hsnSummary(priced),
+                totals: invoiceTotals(priced)
+            });
+        }, requestContext(req)));
+
+        res.status(201).json({ message: `Invoice ${invoice.number} created for ₹${invoice.totals.total}.`, invoice });
+    }));
+
+    // 2. GET Invoices (newest first, paginated), optionally between ?from= and ?to=
+    router.get('/', asyncHandler(async (req, res) => {
+        const inRange = dateRangeFilter(req.query.from, req.query.to);
+        if (!inRange) throw httpError(400, 'Invalid date filter. Use YYYY-MM-DD for from and to.');
+
+        const invoices = (await store.read(tx => tx.all('invoices'))).filter(invoice => inRange(invoice.timestamp));
+        const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+        const limit = Math.min(500, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+        invoices.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+        res.json({
+            invoices: invoices.slice((page - 1) * limit, page * limit),
+            pagination: { page, limit, total: invoices.length, pages: Math.ceil(invoices.length / limit) },
+            totals: {
+                invoices: invoices.length,
+                amount: Math.round(invoices.reduce((sum, invoice) => sum + invoice.totals.total, 0) * 100) / 100
+            }
+        });
+    }));
+
+    // 3. GET one invoice, by id or by number (e.g. INV-000042), for reprinting
+    router.get('/:id', asyncHandler(async (req, res) => {
+        const invoice = await store.read(tx => tx.get('invoices', req.params.id)
+            || tx.all('invoices').find(inv => inv.number === req.params.id));
+        if (!invoice) throw httpError(404, `No invoice ${req.params.id}.`);
+        res.json(invoice);
+    }));
+
+    // 4. PATCH Invoice: link it (and its sales) to a customer { customerId }, or null to unlink
+    router.patch('/:id', asyncHandler(async (req, res) => {
+        const body = req.body || {};
+        const unknown = Object.keys(body).filter(key => key !== 'customerId');
+        if (unknown.length) throw httpError(400, `Unknown fields: ${unknown.join(', ')}. Invoices can only be linked to a customer.`);
+        if (body.customerId === undefined) throw httpError(400, 'customerId is required (null to unlink).');
+
+        const invoice = await store.transaction(tx => {
+            const current = tx.get('invoices', req.params.id);
+            if (!current) throw httpError(404, `No invoice with id ${req.params.id}.`);
+            const customer = getLinkedCustomer(tx, body.customerId);
+            const customerId = customer ? customer.id : null;
+            tx.all('sales')
+                .filter(sale => sale.invoiceId === current.id)
+                .forEach(sale => tx.update('sales', sale.id, { ...sale, customerId }));
+            return tx.update('invoices', current.id, { ...current, customerId });
+        }, requestContext(req));
+
+        res.json({ message: `Invoice ${invoice.number} updated.`, invoice });
+    }));
+
+    return router;
+};
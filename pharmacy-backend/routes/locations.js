@@ -0,0 +1,141 @@
+const express = require('express');
+const { httpError, asyncHandler } = require('../lib/http');
+const { requestContext } = require('../lib/requestContext');
+const { newId } = require('../lib/ids');
+const { requireRole } = require('../lib/auth');
+const { isExpired } = require('../lib/stock');
+const { LOCATION_KINDS } = require('../lib/locations');
+
+// --- Location Routes (/api/locations) ---
+// Where stock is kept (see lib/locations.js). Opening, renaming and closing locations is for owners.
+
+const TEXT_FIELDS = ['name', 'address'];
+const FIELDS = [...TEXT_FIELDS, 'kind', 'isDefault', 'active'];
+
+// Check a POST (name required) or PATCH (any subset) body and return the cleaned-up fields that were sent
+const parseLocationFields = (body, { partial }) => {
+    const unknown = Object.keys(body).filter(key => !FIELDS.includes(key) && key !== 'id');
+    if (unknown.length) throw httpError(400, `Unknown fields: ${unknown.join(', ')}.`);
+    if (!partial && !String(body.name || '').trim()) throw httpError(400, 'Location name is required.');
+
+    const fields = {};
+    TEXT_FIELDS.filter(key => body[key] !== undefined).forEach(key => {
+        fields[key] = body[key] == null ? '' : String(body[key]).trim();
+    });
+    if (fields.name === '') throw httpError(400, 'Location name cannot be empty.');
+    if (body.kind !== undefined) {
+        if (!LOCATION_KINDS.includes(body.kind)) throw httpError(400, `kind must be one of: ${LOCATION_KINDS.join(', ')}.`);
+        fields.kind = body.kind;
+    }
+    ['isDefault', 'active'].filter(key => body[key] !== undefined).forEach(key => {
+        if (typeof body[key] !== 'boolean') throw httpError(400, `${key} must be true or false.`);
+        fields[key] = body[key];
+    });
+    return fields;
+};
+
+// Location names are unique, ignoring case
+const assertUniqueName = (tx, name, exceptId) => {
+    const clash = tx.all('locations').find(l => l.id !== exceptId && l.name.toLowerCase() === name.toLowerCase());
+    if (clash) throw httpError(409, `A location named ${clash.name} already exists.`);
+};
+
+// A location with the stock it holds: units on hand, how many of them can still be sold, and the
+// units on their way in from transfers not yet received
+const withStock = (location, batches, transfers) => {
+    const lots = batches.filter(batch => batch.locationId === location.id && batch.quantity > 0);
+    return {
+        ...location,
+        stock: {
+            batches: lots.length,
+            units: lots.reduce((sum, lot) => sum + lot.quantity, 0),
+            sellableUnits: lots.filter(lot => !isExpired(lot)).reduce((sum, lot) => sum + lot.quantity, 0),
+            incomingUnits: transfers
+                .filter(transfer => transfer.status === 'in-transit' && transfer.toLocationId === location.id)
+                .reduce((sum, transfer) => sum + transfer.lines.reduce((s, line) => s + line.quantity, 0), 0)
+        }
+    };
+};
+
+module.exports = ({ store }) => {
+    const router = express.Router();
+    const manageLocations = requireRole('owner');
+
+    // 1. GET Locations with their stock, the default first (?active=true for open ones only)
+    router.get('/', asyncHandler(async (req, res) => {
+        const { locations, batches, transfers } = await store.read(tx => ({
+            locations: tx.all('locations'),
+            batches: tx.all('batches'),
+            transfers: tx.all('transfers')
+        }));
+        res.json(locations
+            .filter(location => req.query.active !== 'true' || location.active)
+            .sort((a, b) => b.isDefault - a.isDefault || a.name.localeCompare(b.name))
+            .map(location => withStock(location, batches, transfers)));
+    }));
+
+    // 2. GET one location
+    router.get('/:id', asyncHandler(async (req, res) => {
+        const { location, batches, transfers } = await store.read(tx => ({
+            location: tx.get('locations', req.params.id),
+            batches: tx.all('batches'),
+            transfers: tx.all('transfers')
+        }));
+        if (!location) throw httpError(404, `No location with id ${req.params.id}.`);
+        res.json(withStock(location, batches, transfers));
+    }));
+
+    // 3. POST Open Location (owners only): { name, kind: shop | store | branch, address }
+    router.post('/', manageLocations, asyncHandler(async (req, res) => {
+        const fields = parseLocationFields(req.body || {}, { partial: false });
+        if (fields.isDefault || fields.active === false) throw httpError(400, 'Open the location first, then make it the default or close it.');
+
+        const location = await store.transaction(tx => {
+            assertUniqueName(tx, fields.name);
+            return tx.insert('locations', {
+                id: newId(),
+                name: fields.name,
+                kind: fields.kind || 'store',
+                address: fields.address || '',
+                isDefault: false,
+                active: true,
+                createdAt: new Date().toISOString()
+            });
+        }, requestContext(req));
+
+        res.status(201).json({ message: `Location ${location.name} opened.`, location });
+    }));
+
+    // 4. PATCH Location (owners only): rename it, change its kind or address, make it the default
+    //    (isDefault: true; the previous default stops being one) or close it (active: false), which
+    //    needs it to be empty, with nothing on its way there, and not the default
+    router.patch('/:id', manageLocations, asyncHandler(async (req, res) => {
+        const fields = parseLocationFields(req.body || {}, { partial: true });
+        if (fields.isDefault === false) throw httpError(400, 'Make another location the default instead.');
+
+        const location = await store.transaction(tx => {
+            const current = tx.get('locations', req.params.id);
+            if (!current) throw httpError(404, `No location with id ${req.params.id}.`);
+            if (fields.name) assertUniqueName(tx, fields.name, current.id);
+
+            const next = { ...current, ...fields };
+            if (!next.active && next.isDefault) throw httpError(409, `${current.name} is the default location and can't be closed.`);
+            if (!next.active && current.active) {
+                const { stock } = withStock(current, tx.all('batches'), tx.all('transfers'));
+                if (stock.units || stock.incomingUnits) {
+                    throw httpError(409, `${current.name} still holds ${stock.units} units${stock.incomingUnits ? ` with ${stock.incomingUnits} more on the way` : ''}. Transfer or dispose of them first.`);
+                }
+            }
+            if (fields.isDefault && !current.isDefault) {
+                tx.all('locations')
+                    .filter(l => l.isDefault)
+                    .forEach(l => tx.update('locations', l.id, { ...l, isDefault: false }));
+            }
+            return tx.update('locations', current.id, next);
+        }, requestContext(req));
+
+        res.json({ message: `Location ${location.name} updated.`, location });
+    }));
+
+    return router;
+};
@@ -0,0 +1,120 @@
+const express = require('express');
+const { httpError, asyncHandler } = require('../lib/http');
+const { dateRangeFilter } = require('../lib/dates');
+const { toCsv } = require('../lib/csv');
+const { SCHEDULES } = require('../lib/prescriptions');
+
+// --- Prescription Routes (/api/prescriptions) ---
+//
+// Prescriptions are captured with sales and invoices (see lib/sales.js); these routes look them up
+// and produce the schedule registers.
+
+const REGISTER_COLUMNS = [
+    { key: 'date', label: 'Date' },
+    { key: 'invoiceNumber', label: 'Invoice No.' },
+    { key: 'patientName', label: 'Patient Name' },
+    { key: 'patientAddress', label: 'Patient Address' },
+    { key: 'doctorName', label: 'Prescriber' },
+    { key: 'doctorRegistrationNumber', label: 'Registration No.' },
+    { key: 'doctorAddress', label: 'Prescriber Address' },
+    { key: 'rxDate', label: 'Rx Date' },
+    { key: 'medicine', label: 'Drug' },
+    { key: 'strength', label: 'Strength' },
+    { key: 'batchNumber', label: 'Batch No.' },
+    { key: 'expiryDate', label: 'Expiry' },
+    { key: 'quantity', label: 'Quantity Supplied' }
+];
+
+module.exports = ({ store, prescriptionImages }) => {
+    const router = express.Router();
+
+    // 1. GET Register: every sale of a scheduled drug (?schedule=H1 by default) with its prescription,
+    //    oldest first, optionally between ?from= and ?to=. ?format=csv downloads it for inspections.
+    router.get('/register', asyncHandler(async (req, res) => {
+        const schedule = String(req.query.schedule || 'H1').toUpperCase();
+        if (!SCHEDULES.includes(schedule)) throw httpError(400, `schedule must be one of: ${SCHEDULES.join(', ')}.`);
+        const inRange = dateRangeFilter(req.query.from, req.query.to);
+        if (!inRange) throw httpError(400, 'Invalid date filter. Use YYYY-MM-DD for from and to.');
+
+        const { sales, prescriptions, invoices } = await store.read(tx => ({
+            sales: tx.all('sales'),
+            prescriptions: tx.all('prescriptions'),
+            invoices: tx.all('invoices')
+        }));
+
+        // One entry per lot supplied, so each line carries its batch number
+        const entries = sales
+            .filter(sale => sale.prescriptionId && inRange(sale.timestamp))
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+            .flatMap(sale => {
+                const rx = prescriptions.find(p => p.id === sale.prescriptionId) || {};
+                const invoice = sale.invoiceId ? invoices.find(inv => inv.id === sale.invoiceId) : null;
+                return sale.batches
+                    .filter(line => line.schedule === schedule)
+                    .map(line => ({
+                        date: sale.timestamp,
+                        saleId: sale.id,
+                        invoiceNumber: invoice ? invoice.number : '',
+                        prescriptionId: sale.prescriptionId,
+                        patientName: rx.patientName,
+                        patientAddress: rx.patientAddress,
+                        doctorName: rx.doctorName,
+                        doctorRegistrationNumber: rx.doctorRegistrationNumber,
+                        doctorAddress: rx.doctorAddress,
+                        rxDate: rx.rxDate,
+                        medicine: sale.medicine,
+                        strength: line.strength,
+                        batchNumber: line.batchNumber,
+                        expiryDate: line.expiryDate,
+                        quantity: line.quantity
+                    }));
+            });
+
+        if (req.query.format === 'csv') {
+            const span = [req.query.from, req.query.to].filter(Boolean).join('-to-');
+            res.attachment(`schedule-${schedule.toLowerCase()}-register${span ? `-${span}` : ''}.csv`);
+            res.type('text/csv').send(toCsv(REGISTER_COLUMNS, entries));
+            return;
+        }
+
+        res.json({
+            schedule,
+            entries,
+            totals: { entries: entries.length, units: entries.reduce((sum, entry) => sum + entry.quantity, 0) }
+        });
+    }));
+
+    // 2. GET Prescriptions (newest first), optionally between ?from= and ?to= and for a ?patient= name
+    router.get('/', asyncHandler(async (req, res) => {
+        const inRange = dateRangeFilter(req.query.from, req.query.to);
+        if (!inRange) throw httpError(400, 'Invalid date filter. Use YYYY-MM-DD for from and to.');
+        const patient = String(req.query.patient || '').toLowerCase();
+
+        const prescriptions = await store.read(tx => tx.all('prescriptions'));
+        res.json(prescriptions
+            .filter(rx => inRange(rx.createdAt) && (!patient || rx.patientName.toLowerCase().includes(patient)))
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt)));
+    }));
+
+    // 3. GET one prescription with the sales made against it
+    router.get('/:id', asyncHandler(async (req, res) => {
+        const { prescription, sales } = await store.read(tx => ({
+            prescription: tx.get('prescriptions', req.params.id),
+            sales: tx.all('sales').filter(sale => sale.prescriptionId === req.params.id)
+        }));
+        if (!prescription) throw httpError(404, `No prescription with id ${req.params.id}.`);
+        res.json({ ...prescription, sales });
+    }));
+
+    // 4. GET the scanned prescription
+    router.get('/:id/image', asyncHandler(async (req, res) => {
+        const prescription = await store.read(tx => tx.get('prescriptions', req.params.id));
+        if (!prescription) throw httpError(404, `No prescription with id ${req.params.id}.`);
+        if (!prescription.image || !prescriptionImages.exists(prescription.image.fileName)) {
+            throw httpError(404, 'This prescription has no scanned image.');
+        }
+        res.type(prescription.image.contentType).sendFile(prescriptionImages.pathFor(prescription.image.fileName));
+    }));
+
+    return router;
+};
@@ -0,0 +1,202 @@
+const express = require('express');
+const { httpError, asyncHandler } = require('../lib/http');
+const { requestContext } = require('../lib/requestContext');
+const { newProduct, findProduct, findProductByEan, normalizeName, toProductView } = require('../lib/stock');
+const { parseGtin, sameGtin } = require('../lib/barcodes');
+const { GST_RATES } = require('../lib/gst');
+const { parseSchedule } = require('../lib/prescriptions');
+const { requireRole } = require('../lib/auth');
+const { parseLocationFilter, atLocation } = require('../lib/locations');
+
+// --- Product (SKU) Routes (/api/products) ---
+//
+// The drug master: one record per SKU (brand name + strength) with its generic name (the salt
+// composition), dosage form, pack size, manufacturer, HSN code and EAN. Batches, sales and invoices
+// point at a product by id, so the same medicine keyed in differently doesn't become a second SKU.
+
+const CATALOGUE_FIELDS = ['name', 'strength', 'genericName', 'dosageForm', 'packSize', 'manufacturer', 'ean'];
+const THRESHOLD_FIELDS = ['minLevel', 'reorderPoint', 'reorderQuantity'];
+const BILLING_FIELDS = ['hsnCode', 'gstRate', 'mrp'];
+const DOSAGE_FORMS = ['tablet', 'capsule', 'syrup', 'suspension', 'drops', 'injection', 'cream', 'ointment', 'gel',
+    'lotion', 'inhaler', 'spray', 'powder', 'sachet', 'other'];
+
+// Check the catalogue details of a POST or PATCH body. Brand name and strength can't be emptied;
+// pack size is the number of units (tablets, capsules, ml) in one pack.
+const parseCatalogueFields = (body) => {
+    const fields = {};
+    ['name', 'strength'].forEach(key => {
+        if (body[key] === undefined) return;
+        const value = String(body[key] || '').trim().replace(/\s+/g, ' ');
+        if (!value) throw httpError(400, `${key} cannot be empty.`);
+        fields[key] = value;
+    });
+    ['genericName', 'manufacturer'].forEach(key => {
+        if (body[key] !== undefined) fields[key] = body[key] ? String(body[key]).trim().replace(/\s+/g, ' ') : '';
+    });
+    if (body.dosageForm !== undefined) {
+        const form = body.dosageForm ? String(body.dosageForm).trim().toLowerCase() : '';
+        if (form && !DOSAGE_FORMS.includes(form)) throw httpError(400, `dosageForm must be one of: ${DOSAGE_FORMS.join(', ')}.`);
+        fields.dosageForm = form;
+    }
+    if (body.packSize !== undefined) {
+        const packSize = body.packSize === null || body.packSize === '' ? null : Number(body.packSize);
+        if (packSize !== null && !(Number.isInteger(packSize) && packSize > 0)) throw httpError(400, 'packSize must be a whole number above zero, or null.');
+        fields.packSize = packSize;
+    }
+    if (body.ean !== undefined) {
+        const ean = body.ean == null || body.ean === '' ? '' : parseGtin(body.ean);
+        if (ean === null) throw httpError(400, 'ean must be an 8, 12, 13 or 14 digit barcode with a valid check digit.');
+        fields.ean = ean;
+    }
+    return fields;
+};
+
+// Check stock thresholds: each a whole number of zero or more, or null
+const parseThresholdFields = (body) => {
+    const fields = {};
+    THRESHOLD_FIELDS.filter(key => body[key] !== undefined).forEach(key => {
+        const value = body[key] === null || body[key] === '' ? null : Number(body[key]);
+        if (value !== null && (!Number.isInteger(value) || value < 0)) {
+            throw httpError(400, `${key} must be a whole number of zero or more, or null.`);
+        }
+        fields[key] = value;
+    });
+    return fields;
+};
+
+// Every field of a product body, after refusing any the API doesn't know
+const parseProductFields = (body) => {
+    const unknown = Object.keys(body).filter(key =>
+        !CATALOGUE_FIELDS.includes(key) && !THRESHOLD_FIELDS.includes(key) && !BILLING_FIELDS.includes(key) && key !== 'schedule');
+    if (unknown.length) throw httpError(400, `Unknown fields: ${unknown.join(', ')}.`);
+
+    const fields = { ...parseCatalogueFields(body), ...parseThresholdFields(body), ...parseBillingFields(body) };
+    if (body.schedule !== undefined) fields.schedule = parseSchedule(body.schedule);
+    return fields;
+};
+
+// Check the billing details of a POST or PATCH body: HSN code, GST rate (a GST slab) and MRP per unit
+const parseBillingFields = (body) => {
+    const fields = {};
+    if (body.hsnCode !== undefined) {
+        const hsnCode = body.hsnCode == null ? '' : String(body.hsnCode).trim();
+        if (hsnCode && !/^\d{4,8}$/.test(hsnCode)) throw httpError(400, 'hsnCode must be 4 to 8 digits.');
+        fields.hsnCode = hsnCode;
+    }
+    if (body.gstRate !== undefined) {
+        const rate = body.gstRate === null || body.gstRate === '' ? null : Number(body.gstRate);
+        if (rate !== null && !GST_RATES.includes(rate)) throw httpError(400, `gstRate must be one of: ${GST_RATES.join(', ')}.`);
+        fields.gstRate = rate;
+    }
+    if (body.mrp !== undefined) {
+        const mrp = body.mrp === null || body.mrp === '' ? null : Number(body.mrp);
+        if (mrp !== null && !(mrp >= 0)) throw httpError(400, 'mrp must be a non-negative number.');
+        fields.mrp = mrp;
+    }
+    return fields;
+};
+
+// Refuse a product that would duplicate another SKU (same name and strength) or another pack's EAN,
+// and thresholds that contradict each other. Only the fields being set (`changed`) are checked for
+// duplicates, so SKUs that were keyed in twice before the catalogue existed can still be edited.
+const assertValidProduct = (products, product, changed) => {
+    const others = products.filter(p => p.id !== product.id);
+    const twin = (changed.includes('name') || changed.includes('strength')) && findProduct(others, product.name, product.strength);
+    if (twin) {
+        throw httpError(409, `${twin.name} (${twin.strength}) is already in the catalogue.`, { productId: twin.id, conflictingField: 'name' });
+    }
+    const sameEan = changed.includes('ean') && product.ean && findProductByEan(others, product.ean);
+    if (sameEan) {
+        throw httpError(409, `EAN ${product.ean} already belongs to ${sameEan.name} (${sameEan.strength}).`, { productId: sameEan.id, conflictingField: 'ean' });
+    }
+    if (product.minLevel != null && product.reorderPoint != null && product.minLevel > product.reorderPoint) {
+        throw httpError(400, 'minLevel cannot be above reorderPoint.');
+    }
+    if (product.reorderQuantity === 0) throw httpError(400, 'reorderQuantity must be greater than zero.');
+};
+
+// Does a product match a catalogue search? A barcode matches the product's EAN; otherwise every word
+// must start a word of the brand name, strength or generic name ("para 500" finds Paracetamol 500mg,
+// "hydro" finds Cetirizine Hydrochloride), or the search must appear in the manufacturer.
+const matchesSearch = (product, query) => {
+    const ean = parseGtin(query);
+    if (ean) return sameGtin(product.ean, ean);
+    const words = normalizeName(query).split(' ');
+    const parts = normalizeName(`${product.name} ${product.strength} ${product.genericName || ''}`).split(/[\s+,/()-]+/);
+    return words.every(word => parts.some(part => part.startsWith(word)))
+        || normalizeName(product.manufacturer).includes(normalizeName(query));
+};
+
+module.exports = ({ store }) => {
+    const router = express.Router();
+
+    const loadAll = () => store.read(tx => ({ products: tx.all('products'), batches: tx.all('batches'), locations: tx.all('locations') }));
+
+    // 1. GET Products, sorted by name and strength. ?q= searches brand and generic names,
+    //    manufacturer and EAN (for autocomplete); ?ean= finds the product with that barcode;
+    //    ?locationId= counts the stock at one location only.
+    router.get('/', asyncHandler(async (req, res) => {
+        const q = String(req.query.q || '').trim();
+        const ean = req.query.ean === undefined ? null : parseGtin(req.query.ean);
+        if (req.query.ean !== undefined && !ean) throw httpError(400, 'ean must be an 8, 12, 13 or 14 digit barcode with a valid check digit.');
+
+        const { products, batches: allBatches, locations } = await loadAll();
+        const batches = atLocation(allBatches, parseLocationFilter(locations, req.query.locationId));
+        const matches = products.filter(product => (!ean || sameGtin(product.ean, ean)) && (!q || matchesSearch(product, q)));
+        const sorted = matches.sort((a, b) => a.name.localeCompare(b.name) || a.strength.localeCompare(b.strength));
+        res.json(sorted.map(product => toProductView(product, batches)));
+    }));
+
+    // 2. GET one product
+    router.get('/:id', asyncHandler(async (req, res) => {
+        const { products, batches } = await loadAll();
+        const product = products.find(p => p.id === req.params.id);
+        if (!product) throw httpError(404, `No product with id ${req.params.id}.`);
+        res.json(toProductView(product, batches));
+    }));
+
+    // 3. POST Add a product to the catalogue: { name, strength } (the brand name and strength) plus
+    //    any of the catalogue details, thresholds, billing details and schedule that PATCH takes
+    router.post('/', requireRole('owner', 'pharmacist'), asyncHandler(async (req, res) => {
+        const body = req.body || {};
+        if (!String(body.name || '').trim() || !String(body.strength || '').trim()) {
+            throw httpError(400, 'Missing required fields: name and strength.');
+        }
+        const { name, strength, ...details } = parseProductFields(body);
+
+        const { product, batches } = await store.transaction(tx => {
+            const product = newProduct(name, strength, details);
+            assertValidProduct(tx.all('products'), product, CATALOGUE_FIELDS);
+            return { product: tx.insert('products', product), batches: tx.all('batches') };
+        }, requestContext(req));
+
+        res.status(201).json({
+            message: `${product.name} (${product.strength}) added to the catalogue.`,
+            product: toProductView(product, batches)
+        });
+    }));
+
+    // 4. PATCH Product: catalogue details { name, strength, genericName, dosageForm, packSize,
+    //    manufacturer, ean }, stock thresholds { minLevel, reorderPoint, reorderQuantity }, each a whole
+    //    number or null, billing details { hsnCode, gstRate, mrp } and the drug schedule (H, H1, X or null).
+    //    Batches and later sales follow a renamed product; past sales keep the name they were made under.
+    router.patch('/:id', requireRole('owner', 'pharmacist'), asyncHandler(async (req, res) => {
+        const changes = parseProductFields(req.body || {});
+
+        const { product, batches } = await store.transaction(tx => {
+            const current = tx.get('products', req.params.id);
+            if (!current) throw httpError(404, `No product with id ${req.params.id}.`);
+
+            const next = { ...current, ...changes };
+            assertValidProduct(tx.all('products'), next, Object.keys(changes));
+            return { product: tx.update('products', current.id, next), batches: tx.all('batches') };
+        }, requestContext(req));
+
+        res.json({
+            message: `${product.name} (${product.strength}) saved.`,
+            product: toProductView(product, batches)
+        });
+    }));
+
+    return router;
+};
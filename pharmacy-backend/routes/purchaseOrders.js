@@ -0,0 +1,336 @@
+const express = require('express');
+const { httpError, asyncHandler } = require('../lib/http');
+const { requestContext } = require('../lib/requestContext');
+const { newId, nextSequenceNumber } = require('../lib/ids');
+const { parseDateParam } = require('../lib/dates');
+const { newProduct, newBatch, findDuplicateLot, findProduct, sellableQuantity, OPEN_ORDER_STATUSES, quantityOnOrder, lowStockLevel } = require('../lib/stock');
+const { requireRole } = require('../lib/auth');
+const { getStockLocation } = require('../lib/locations');
+
+// --- Purchase Order Routes (/api/purchase-orders) ---
+//
+// An order goes draft -> ordered -> partially-received -> received. Each goods receipt turns the
+// delivered lines into batches (tagged with the supplier and the order) and keeps the supplier's
+// invoice number, so invoices can be matched against what actually arrived. An order can be
+// cancelled before anything arrives, or closed short when the rest will never come.
+
+const STATUSES = [...OPEN_ORDER_STATUSES, 'received', 'closed', 'cancelled'];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Parse the `lines` of a new or edited draft: [{ productId | name + strength, quantity, unitCost }].
+// Unknown name + strength pairs become new products, as they do when stock is added directly.
+const parseOrderLines = (tx, lines) => {
+    if (!Array.isArray(lines) || !lines.length) throw httpError(400, 'An order needs at least one line.');
+
+    return lines.map((line, index) => {
+        const label = `Line ${index + 1}`;
+        const quantity = Number(line.quantity);
+        if (!Number.isInteger(quantity) || quantity <= 0) throw httpError(400, `${label}: quantity must be a whole number above zero.`);
+        const unitCost = line.unitCost == null || line.unitCost === '' ? null : Number(line.unitCost);
+        if (unitCost !== null && !(unitCost >= 0)) throw httpError(400, `${label}: unitCost must be a non-negative number.`);
+
+        let product;
+        if (line.productId) {
+            product = tx.get('products', line.productId);
+            if (!product) throw httpError(400, `${label}: no product with id ${line.productId}.`);
+        } else if (line.name && line.strength) {
+            product = findProduct(tx.all('products'), String(line.name).trim(), String(line.strength).trim())
+                || tx.insert('products', newProduct(line.name, line.strength));
+        } else {
+            throw httpError(400, `${label}: give a productId, or a name and strength.`);
+        }
+
+        return {
+            id: newId(),
+            productId: product.id,
+            name: product.name,
+            strength: product.strength,
+            quantityOrdered: quantity,
+            quantityReceived: 0,
+            unitCost
+        };
+    });
+};
+
+const getOrder = (tx, id) => {
+    const order = tx.get('purchaseOrders', id);
+    if (!order) throw httpError(404, `No purchase order with id ${id}.`);
+    return order;
+};
+
+const getActiveSupplier = (tx, supplierId) => {
+    const supplier = supplierId && tx.get('suppliers', supplierId);
+    if (!supplier) throw httpError(400, 'A valid supplierId is required.');
+    if (!supplier.active) throw httpError(400, `${supplier.name} is inactive.`);
+    return supplier;
+};
+
+const parseExpectedDate = (value) => {
+    if (value == null || value === '') return null;
+    if (!parseDateParam(value)) throw httpError(400, 'expectedDate must be a date in YYYY-MM-DD format.');
+    return value;
+};
+
+// An order as the API returns it: the stored record plus ordered/received totals
+const withTotals = (order) => {
+    const sum = (pick) => order.lines.reduce((total, line) => total + pick(line), 0);
+    return {
+        ...order,
+        totals: {
+            unitsOrdered: sum(line => line.quantityOrdered),
+            unitsReceived: sum(line => line.quantityReceived),
+            valueOrdered: round2(sum(line => line.quantityOrdered * (line.unitCost || 0))),
+            valueReceived: round2(order.receipts.reduce((total, receipt) =>
+                total + receipt.lines.reduce((t, line) => t + line.quantity * (line.unitCost || 0), 0), 0))
+        }
+    };
+};
+
+const newOrder = (tx, { supplier, expectedDate, notes, lines }) => tx.insert('purchaseOrders', {
+    id: newId(),
+    number: nextSequenceNumber(tx.all('purchaseOrders').map(order => order.number), 'PO'),
+    supplierId: supplier.id,
+    supplierName: supplier.name,
+    status: 'draft',
+    createdAt: new Date().toISOString(),
+    orderedAt: null,
+    expectedDate,
+    notes: notes ? String(notes).trim() : '',
+    lines,
+    receipts: []
+});
+
+module.exports = ({ store, config }) => {
+    const router = express.Router();
+    const manageOrders = requireRole('owner', 'pharmacist');
+
+    // 1. GET Purchase Orders (newest first), optionally ?status= and ?supplierId=
+    router.get('/', asyncHandler(async (req, res) => {
+        const { status, supplierId } = req.query;
+        if (status && !STATUSES.includes(status)) {
+            throw httpError(400, `Invalid status. Use one of: ${STATUSES.join(', ')}.`);
+        }
+
+        const orders = await store.read(tx => tx.all('purchaseOrders'));
+        res.json(orders
+            .filter(order => (!status || order.status === status) && (!supplierId || order.supplierId === supplierId))
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+            .map(withTotals));
+    }));
+
+    // 2. GET one purchase order, with its receipts
+    router.get('/:id', asyncHandler(async (req, res) => {
+        const order = await store.read(tx => getOrder(tx, req.params.id));
+        res.json(withTotals(order));
+    }));
+
+    // 3. POST Create Draft: { supplierId, expectedDate, notes, lines: [{ productId | name + strength, quantity, unitCost }] }
+    router.post('/', manageOrders, asyncHandler(async (req, res) => {
+        const { supplierId, expectedDate, notes, lines } = req.body;
+        const expected = parseExpectedDate(expectedDate);
+
+        const order = await store.transaction(tx => newOrder(tx, {
+            supplier: getActiveSupplier(tx, supplierId),
+            expectedDate: expected,
+            notes,
+            lines: parseOrderLines(tx, lines)
+        }), requestContext(req));
+
+        res.status(201).json({ message: `Purchase order ${order.number} created as a draft.`, order: withTotals(order) });
+    }));
+
+    // 4. POST Draft from Reorder Points: { supplierId, expectedDate } -> one line per SKU at or below its
+    //    reorder point, for its reorder quantity. SKUs already covered by open orders are left out.
+    router.post('/draft-from-reorder', manageOrders, asyncHandler(async (req, res) => {
+        const { supplierId, expectedDate, notes } = req.body;
+        const expected = parseExpectedDate(expectedDate);
+
+        const order = await store.transaction(tx => {
+            const supplier = getActiveSupplier(tx, supplierId);
+            const batches = tx.all('batches');
+            const orders = tx.all('purchaseOrders');
+
+            const lines = tx.all('products')
+                .map(product => {
+                    const quantity = sellableQuantity(batches, product.id);
+                    if (!lowStockLevel(product, quantity)) return null;
+
+                    const onOrder = quantityOnOrder(orders, product.id);
+                    const trigger = product.reorderPoint ?? product.minLevel;
+                    if (quantity + onOrder > trigger) return null;
+
+                    // Last price paid for the product, as a starting point for the order
+                    const lastLot = batches
+                        .filter(batch => batch.productId === product.id && batch.purchasePrice != null)
+                        .sort((a, b) => String(b.receivedDate || '').localeCompare(String(a.receivedDate || '')))[0];
+
+                    return {
+                        productId: product.id,
+                        quantity: product.reorderQuantity || Math.max(1, trigger - quantity - onOrder + 1),
+                        unitCost: lastLot ? lastLot.purchasePrice : null
+                    };
+                })
+                .filter(Boolean);
+
+            if (!lines.length) throw httpError(400, 'No SKUs are at or below their reorder point (after counting open orders).');
+            return newOrder(tx, { supplier, expectedDate: expected, notes, lines: parseOrderLines(tx, lines) });
+        }, requestContext(req));
+
+        res.status(201).json({
+            message: `Draft purchase order ${order.number} created with ${order.lines.length} line${order.lines.length === 1 ? '' : 's'}.`,
+            order: withTotals(order)
+        });
+    }));
+
+    // 5. PATCH Draft: change supplierId, expectedDate, notes or replace its lines
+    router.patch('/:id', manageOrders, asyncHandler(async (req, res) => {
+        const { supplierId, expectedDate, notes, lines } = req.body;
+
+        const order = await store.transaction(tx => {
+            const current = getOrder(tx, req.params.id);
+            if (current.status !== 'draft') throw httpError(409, `${current.number} is ${current.status}; only drafts can be edited.`);
+
+            const next = { ...current };
+            if (supplierId !== undefined) {
+                const supplier = getActiveSupplier(tx, supplierId);
+                next.supplierId = supplier.id;
+                next.supplierName = supplier.name;
+            }
+            if (expectedDate !== undefined) next.expectedDate = parseExpectedDate(expectedDate);
+            if (notes !== undefined) next.notes = notes ? String(notes).trim() : '';
+            if (lines !== undefined) next.lines = parseOrderLines(tx, lines);
+            return tx.update('purchaseOrders', current.id, next);
+        }, requestContext(req));
+
+        res.json({ message: `Purchase order ${order.number} updated.`, order: withTotals(order) });
+    }));
+
+    // 6. POST Place Order: a draft becomes ordered
+    router.post('/:id/order', manageOrders, asyncHandler(async (req, res) => {
+        const order = await store.transaction(tx => {
+            const current = getOrder(tx, req.params.id);
+            if (current.status !== 'draft') throw httpError(409, `${current.number} is already ${current.status}.`);
+            return tx.update('purchaseOrders', current.id, { ...current, status: 'ordered', orderedAt: new Date().toISOString() });
+        }, requestContext(req));
+
+        res.json({ message: `Purchase order ${order.number} placed with ${order.supplierName}.`, order: withTotals(order) });
+    }));
+
+    // 7. POST Goods Receipt: { supplierInvoiceNumber, locationId, lines: [{ lineId, quantity, batchNumber, expiryDate, unitCost, mrp, manufacturer }] }
+    //    Each received line becomes a batch at `locationId` (default: the default location), priced at
+    //    the unit cost and MRP given (or else the order line's cost and the product's MRP). Lines can
+    //    arrive over several receipts.
+    router.post('/:id/receipts', manageOrders, asyncHandler(async (req, res) => {
+        const { supplierInvoiceNumber, lines } = req.body;
+        if (!Array.isArray(lines) || !lines.length) throw httpError(400, 'A receipt needs at least one line.');
+
+        const { order, receipt } = await store.transaction(tx => {
+            const current = getOrder(tx, req.params.id);
+            if (!['ordered', 'partially-received'].includes(current.status)) {
+                throw httpError(409, `${current.number} is ${current.status}; goods can only be received against a placed order.`);
+            }
+
+            const location = getStockLocation(tx, req.body.locationId);
+            const orderLines = current.lines.map(line => ({ ...line }));
+            const batches = tx.all('batches');
+            const received = lines.map((entry, index) => {
+                const label = `Receipt line ${index + 1}`;
+                const line = orderLines.find(l => l.id === entry.lineId);
+                if (!line) throw httpError(400, `${label}: no line ${entry.lineId} on ${current.number}.`);
+
+                const quantity = Number(entry.quantity);
+                if (!Number.isInteger(quantity) || quantity <= 0) throw httpError(400, `${label}: quantity must be a whole number above zero.`);
+                const outstanding = line.quantityOrdered - line.quantityReceived;
+                if (quantity > outstanding) {
+                    throw httpError(400, `${label}: ${quantity} units of ${line.name} received but only ${outstanding} outstanding.`);
+                }
+                if (!parseDateParam(entry.expiryDate)) throw httpError(400, `${label}: expiryDate must be a date in YYYY-MM-DD format.`);
+                const unitCost = entry.unitCost == null || entry.unitCost === '' ? line.unitCost : Number(entry.unitCost);
+                if (unitCost !== null && !(unitCost >= 0)) throw httpError(400, `${label}: unitCost must be a non-negative number.`);
+                const mrp = entry.mrp == null || entry.mrp === '' ? (tx.get('products', line.productId) || {}).mrp ?? null : Number(entry.mrp);
+                if (mrp !== null && !(mrp >= 0)) throw httpError(400, `${label}: mrp must be a non-negative number.`);
+
+                if (config.duplicateReceipts === 'reject' && findDuplicateLot(batches, line.productId, entry.batchNumber, entry.expiryDate)) {
+                    throw httpError(409, `${label}: a batch of ${line.name} with the same batch number and expiry date already exists.`);
+                }
+
+                const batch = tx.insert('batches', newBatch({
+                    productId: line.productId,
+                    batchNumber: entry.batchNumber,
+                    manufacturer: entry.manufacturer,
+                    quantity,
+                    expiryDate: entry.expiryDate,
+                    purchasePrice: unitCost,
+                    mrp,
+                    supplierId: current.supplierId,
+                    purchaseOrderId: current.id,
+                    locationId: location.id
+                }));
+                batches.push(batch);
+                line.quantityReceived += quantity;
+
+                return {
+                    lineId: line.id,
+                    productId: line.productId,
+                    batchId: batch.id,
+                    batchNumber: batch.batchNumber,
+                    expiryDate: batch.expiryDate,
+                    quantity,
+                    unitCost
+                };
+            });
+
+            const receipt = {
+                id: newId(),
+                receivedAt: new Date().toISOString(),
+                supplierInvoiceNumber: supplierInvoiceNumber ? String(supplierInvoiceNumber).trim() : '',
+                locationId: location.id,
+                lines: received
+            };
+            const complete = orderLines.every(line => line.quantityReceived >= line.quantityOrdered);
+            const order = tx.update('purchaseOrders', current.id, {
+                ...current,
+                status: complete ? 'received' : 'partially-received',
+                lines: orderLines,
+                receipts: [...current.receipts, receipt]
+            });
+            return { order, receipt };
+        }, requestContext(req));
+
+        const units = receipt.lines.reduce((sum, line) => sum + line.quantity, 0);
+        res.status(201).json({
+            message: `Received ${units} units against ${order.number} (${order.status}).`,
+            receipt,
+            order: withTotals(order)
+        });
+    }));
+
+    // 8. POST Cancel: only before anything has been received
+    router.post('/:id/cancel', manageOrders, asyncHandler(async (req, res) => {
+        const order = await store.transaction(tx => {
+            const current = getOrder(tx, req.params.id);
+            if (!['draft', 'ordered'].includes(current.status)) {
+                throw httpError(409, `${current.number} is ${current.status} and can't be cancelled.`);
+            }
+            return tx.update('purchaseOrders', current.id, { ...current, status: 'cancelled' });
+        }, requestContext(req));
+
+        res.json({ message: `Purchase order ${order.number} cancelled.`, order: withTotals(order) });
+    }));
+
+    // 9. POST Close Short: a partially received order that won't be completed
+    router.post('/:id/close', manageOrders, asyncHandler(async (req, res) => {
+        const order = await store.transaction(tx => {
+            const current = getOrder(tx, req.params.id);
+            if (current.status !== 'partially-received') {
+                throw httpError(409, `${current.number} is ${current.status}; only partially received orders can be closed.`);
+            }
+            return tx.update('purchaseOrders', current.id, { ...current, status: 'closed' });
+        }, requestContext(req));
+
+        res.json({ message: `Purchase order ${order.number} closed with the remaining lines undelivered.`, order: withTotals(order) });
+    }));
+
+    return router;
+};
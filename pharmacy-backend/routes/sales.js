@@ -0,0 +1,128 @@
+const express = require('express');
+const { httpError, asyncHandler } = require('../lib/http');
+const { requestContext } = require('../lib/requestContext');
+const { periodKey } = require('../lib/dates');
+const { recordSale, filterSales } = require('../lib/sales');
+const { parsePrescription } = require('../lib/prescriptions');
+const { getLinkedCustomer, parseDailyDose } = require('../lib/customers');
+const { normalizeName, normalizeStrength } = require('../lib/stock');
+const { getStockLocation } = require('../lib/locations');
+
+// --- Sales Routes (/api/sales) ---
+
+const sumUnits = (sales) => sales.reduce((sum, sale) => sum + Number(sale.quantity || 0), 0);
+
+module.exports = ({ store, config, prescriptionImages }) => {
+    const router = express.Router();
+
+    // 1. POST Record Sale (from inventory.html) of `productId`, or of `medicine` (any strength unless
+    //    `strength` is given), optionally from the one lot `batchId` (a scanned pack). Scheduled drugs
+    //    need a `prescription` (see lib/prescriptions.js); `customerId` and `dailyDose` (units a day,
+    //    for refill reminders) are optional. The stock comes from `locationId` (default: the default location).
+    router.post('/', asyncHandler(async (req, res) => {
+        const { productId, medicine, strength, quantity } = req.body;
+        const saleQty = Number(quantity);
+
+        if (!productId && !medicine) {
+            throw httpError(400, 'A medicine or productId is required.');
+        }
+        if (!Number.isInteger(saleQty) || saleQty <= 0) {
+            throw httpError(400, 'Quantity must be a whole number above zero.');
+        }
+        const dailyDose = parseDailyDose(req.body.dailyDose);
+        const rx = parsePrescription(req.body.prescription);
+        const prescription = rx ? rx.prescription : null;
+
+        const sale = await prescriptionImages.saveWhile(rx, () => store.transaction(tx => {
+            // The product, or the products matching the name (and strength, if given)
+            let products;
+            if (productId) {
+                const product = tx.get('products', productId);
+                if (!product) throw httpError(400, `No product with id ${productId}.`);
+                products = [product];
+            } else {
+                products = tx.all('products')
+                    .filter(product => normalizeName(product.name) === normalizeName(medicine))
+                    .filter(product => !strength || normalizeStrength(product.strength) === normalizeStrength(strength));
+            }
+
+            const customer = getLinkedCustomer(tx, req.body.customerId);
+            return recordSale(tx, {
+                products,
+                medicine: productId ? products[0].name : medicine,
+                quantity: saleQty,
+                saleMode: config.saleMode,
+                location: getStockLocation(tx, req.body.locationId),
+                batchId: req.body.batchId || null,
+                prescription,
+                extra: { customerId: customer ? customer.id : null, dailyDose }
+            });
+        }, requestContext(req)));
+
+        res.json({ message: `Sale of ${saleQty} units of ${sale.medicine} recorded successfully!`, sale });
+    }));
+
+    // 2. GET Sales History (newest first, paginated)
+    router.get('/', asyncHandler(async (req, res) => {
+        const sales = filterSales(await store.read(tx => tx.all('sales')), req.query);
+
+        const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+        const limit = Math.min(500, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+        sales.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+        res.json({
+            sales: sales.slice((page - 1) * limit, page * limit),
+            pagination: { page, limit, total: sales.length, pages: Math.ceil(sales.length / limit) },
+            totals: { transactions: sales.length, units: sumUnits(sales) }
+        });
+    }));
+
+    // 3. GET Sales Summary: daily / weekly / monthly totals over the same filters
+    router.get('/summary', asyncHandler(async (req, res) => {
+        const period = req.query.period || 'daily';
+        if (!['daily', 'weekly', 'monthly'].includes(period)) {
+            throw httpError(400, 'Invalid period. Use daily, weekly or monthly.');
+        }
+
+        const sales = filterSales(await store.read(tx => tx.all('sales')), req.query);
+
+        const buckets = new Map();
+        sales.forEach(sale => {
+            const key = periodKey(sale.timestamp, period);
+            const bucket = buckets.get(key) || { period: key, transactions: 0, units: 0 };
+            bucket.transactions += 1;
+            bucket.units += Number(sale.quantity || 0);
+            buckets.set(key, bucket);
+        });
+
+        res.json({
+            period,
+            buckets: Array.from(buckets.values()).sort((a, b) => a.period.localeCompare(b.period)),
+            totals: { transactions: sales.length, units: sumUnits(sales) }
+        });
+    }));
+
+    // 4. PATCH Sale: link it to a customer { customerId } (null to unlink) and record the { dailyDose }
+    router.patch('/:id', asyncHandler(async (req, res) => {
+        const body = req.body || {};
+        const unknown = Object.keys(body).filter(key => !['customerId', 'dailyDose'].includes(key));
+        if (unknown.length) throw httpError(400, `Unknown fields: ${unknown.join(', ')}.`);
+
+        const sale = await store.transaction(tx => {
+            const current = tx.get('sales', req.params.id);
+            if (!current) throw httpError(404, `No sale with id ${req.params.id}.`);
+            const changes = {};
+            if (body.customerId !== undefined) {
+                const customer = getLinkedCustomer(tx, body.customerId);
+                changes.customerId = customer ? customer.id : null;
+            }
+            if (body.dailyDose !== undefined) changes.dailyDose = parseDailyDose(body.dailyDose);
+            return tx.update('sales', current.id, { ...current, ...changes });
+        }, requestContext(req));
+
+        res.json({ message: 'Sale updated.', sale });
+    }));
+
+    return router;
+};
@@ -0,0 +1,118 @@
+const express = require('express');
+const { httpError, asyncHandler } = require('../lib/http');
+const { requestContext } = require('../lib/requestContext');
+const { newId } = require('../lib/ids');
+const { requireRole } = require('../lib/auth');
+
+// --- Supplier Routes (/api/suppliers) ---
+
+const TEXT_FIELDS = ['name', 'contactName', 'phone', 'email', 'address', 'gstin', 'drugLicenceNumber', 'notes'];
+const FIELDS = [...TEXT_FIELDS, 'leadTimeDays', 'active'];
+
+// Check a POST (name required) or PATCH (any subset) body and return the cleaned-up fields that were sent
+const parseSupplierFields = (body, { partial }) => {
+    const unknown = Object.keys(body).filter(key => !FIELDS.includes(key) && key !== 'id');
+    if (unknown.length) throw httpError(400, `Unknown fields: ${unknown.join(', ')}.`);
+    if (!partial && !String(body.name || '').trim()) throw httpError(400, 'Supplier name is required.');
+
+    const fields = {};
+    TEXT_FIELDS.filter(key => body[key] !== undefined).forEach(key => {
+        fields[key] = body[key] == null ? '' : String(body[key]).trim();
+    });
+    if (fields.name === '') throw httpError(400, 'Supplier name cannot be empty.');
+    if (body.leadTimeDays !== undefined) {
+        const days = body.leadTimeDays === null || body.leadTimeDays === '' ? null : Number(body.leadTimeDays);
+        if (days !== null && (!Number.isInteger(days) || days < 0)) {
+            throw httpError(400, 'leadTimeDays must be a whole number of days, or null.');
+        }
+        fields.leadTimeDays = days;
+    }
+    if (body.active !== undefined) {
+        if (typeof body.active !== 'boolean') throw httpError(400, 'active must be true or false.');
+        fields.active = body.active;
+    }
+    return fields;
+};
+
+// Supplier names are unique, ignoring case
+const assertUniqueName = (tx, name, exceptId) => {
+    const clash = tx.all('suppliers').find(s => s.id !== exceptId && s.name.toLowerCase() === name.toLowerCase());
+    if (clash) throw httpError(409, `A supplier named ${clash.name} already exists.`);
+};
+
+module.exports = ({ store }) => {
+    const router = express.Router();
+    const manageSuppliers = requireRole('owner', 'pharmacist');
+
+    // 1. GET Suppliers, sorted by name (?active=true for active ones only)
+    router.get('/', asyncHandler(async (req, res) => {
+        const suppliers = await store.read(tx => tx.all('suppliers'));
+        res.json(suppliers
+            .filter(supplier => req.query.active !== 'true' || supplier.active)
+            .sort((a, b) => a.name.localeCompare(b.name)));
+    }));
+
+    // 2. GET one supplier
+    router.get('/:id', asyncHandler(async (req, res) => {
+        const supplier = await store.read(tx => tx.get('suppliers', req.params.id));
+        if (!supplier) throw httpError(404, `No supplier with id ${req.params.id}.`);
+        res.json(supplier);
+    }));
+
+    // 3. POST Add Supplier
+    router.post('/', manageSuppliers, asyncHandler(async (req, res) => {
+        const fields = parseSupplierFields(req.body || {}, { partial: false });
+
+        const supplier = await store.transaction(tx => {
+            assertUniqueName(tx, fields.name);
+            return tx.insert('suppliers', {
+                id: newId(),
+                name: fields.name,
+                contactName: fields.contactName || '',
+                phone: fields.phone || '',
+                email: fields.email || '',
+                address: fields.address || '',
+                gstin: fields.gstin || '',
+                drugLicenceNumber: fields.drugLicenceNumber || '',
+                leadTimeDays: fields.leadTimeDays ?? null,
+                notes: fields.notes || '',
+                active: fields.active ?? true
+            });
+        }, requestContext(req));
+
+        res.status(201).json({ message: `Supplier ${supplier.name} added.`, supplier });
+    }));
+
+    // 4. PATCH Supplier: change any of its fields (set active: false to retire a supplier)
+    router.patch('/:id', manageSuppliers, asyncHandler(async (req, res) => {
+        const fields = parseSupplierFields(req.body || {}, { partial: true });
+
+        const supplier = await store.transaction(tx => {
+            const current = tx.get('suppliers', req.params.id);
+            if (!current) throw httpError(404, `No supplier with id ${req.params.id}.`);
+            if (fields.name) assertUniqueName(tx, fields.name, current.id);
+            return tx.update('suppliers', current.id, { ...current, ...fields });
+        }, requestContext(req));
+
+        res.json({ message: `Supplier ${supplier.name} updated.`, supplier });
+    }));
+
+    // 5. DELETE Supplier (owners only): only while no purchase order or batch refers to it; otherwise deactivate it
+    router.delete('/:id', requireRole('owner'), asyncHandler(async (req, res) => {
+        const supplier = await store.transaction(tx => {
+            const current = tx.get('suppliers', req.params.id);
+            if (!current) throw httpError(404, `No supplier with id ${req.params.id}.`);
+            const inUse = tx.all('purchaseOrders').some(order => order.supplierId === current.id)
+                || tx.all('batches').some(batch => batch.supplierId === current.id);
+            if (inUse) {
+                throw httpError(409, `${current.name} has purchase orders or stock on record. Set it inactive instead.`);
+            }
+            tx.remove('suppliers', current.id);
+            return current;
+        }, requestContext(req));
+
+        res.json({ message: `Supplier ${supplier.name} deleted.` });
+    }));
+
+    return router;
+};
@@ -0,0 +1,172 @@
+const express = require('express');
+const { httpError, asyncHandler } = require('../lib/http');
+const { requestContext } = require('../lib/requestContext');
+const { newId, nextSequenceNumber } = require('../lib/ids');
+const { requireRole } = require('../lib/auth');
+
+// --- Stock Transfer Routes (/api/transfers) ---
+//
+// A transfer moves stock from one location to another in two steps. Dispatch takes the units out
+// of the lots at the source straight away, so nobody sells them there while they are on the road,
+// and the transfer is in transit. Confirming receipt at the destination puts them into stock there
+// as the same lots: batch number, expiry, prices and supplier carry over, and units of a lot that
+// is already at the destination are added to it. A transfer still in transit can be cancelled,
+// which puts the units back into the lots they came from.
+
+const STATUSES = ['in-transit', 'received', 'cancelled'];
+
+// The lot fields a transfer carries to the destination (everything but its id, location and quantity)
+const lotDetails = ({ id, locationId, quantity, ...details }) => details;
+
+// The destination lot a transfer line adds to: the same lot of the same product at the same prices
+const sameLot = (batch, lot) => batch.productId === lot.productId
+    && batch.batchNumber === lot.batchNumber
+    && batch.expiryDate === lot.expiryDate
+    && batch.purchasePrice === lot.purchasePrice
+    && batch.mrp === lot.mrp
+    && batch.sellingPrice === lot.sellingPrice;
+
+const getTransfer = (tx, id) => {
+    const transfer = tx.get('transfers', id);
+    if (!transfer) throw httpError(404, `No transfer with id ${id}.`);
+    return transfer;
+};
+
+const getActiveLocation = (tx, locationId, label) => {
+    const location = locationId && tx.get('locations', locationId);
+    if (!location) throw httpError(400, `A valid ${label} is required.`);
+    if (!location.active) throw httpError(400, `${location.name} is closed.`);
+    return location;
+};
+
+// A transfer as the API returns it: the stored record plus the units it moves
+const withUnits = (transfer) => ({ ...transfer, units: transfer.lines.reduce((sum, line) => sum + line.quantity, 0) });
+
+module.exports = ({ store }) => {
+    const router = express.Router();
+    const manageTransfers = requireRole('owner', 'pharmacist');
+
+    // 1. GET Transfers (newest first), optionally ?status= and ?locationId= (either end)
+    router.get('/', asyncHandler(async (req, res) => {
+        const { status, locationId } = req.query;
+        if (status && !STATUSES.includes(status)) {
+            throw httpError(400, `Invalid status. Use one of: ${STATUSES.join(', ')}.`);
+        }
+
+        const transfers = await store.read(tx => tx.all('transfers'));
+        res.json(transfers
+            .filter(transfer => !status || transfer.status === status)
+            .filter(transfer => !locationId || transfer.fromLocationId === locationId || transfer.toLocationId === locationId)
+            .sort((a, b) => new Date(b.dispatchedAt) - new Date(a.dispatchedAt))
+            .map(withUnits));
+    }));
+
+    // 2. GET one transfer
+    router.get('/:id', asyncHandler(async (req, res) => {
+        const transfer = await store.read(tx => getTransfer(tx, req.params.id));
+        res.json(withUnits(transfer));
+    }));
+
+    // 3. POST Dispatch: { fromLocationId, toLocationId, notes, lines: [{ batchId, quantity }] }. The
+    //    batches must be at fromLocationId and hold the units; they leave its stock now.
+    router.post('/', manageTransfers, asyncHandler(async (req, res) => {
+        const { fromLocationId, toLocationId, notes, lines } = req.body;
+        if (!Array.isArray(lines) || !lines.length) throw httpError(400, 'A transfer needs at least one line.');
+
+        const transfer = await store.transaction(tx => {
+            const from = getActiveLocation(tx, fromLocationId, 'fromLocationId');
+            const to = getActiveLocation(tx, toLocationId, 'toLocationId');
+            if (from.id === to.id) throw httpError(400, 'A transfer needs two different locations.');
+
+            const moved = lines.map((entry, index) => {
+                const label = `Line ${index + 1}`;
+                const batch = entry.batchId && tx.get('batches', entry.batchId);
+                if (!batch) throw httpError(400, `${label}: no batch with id ${entry.batchId}.`);
+                const product = tx.get('products', batch.productId);
+                if (batch.locationId !== from.id) throw httpError(400, `${label}: batch ${batch.batchNumber || batch.id} of ${product.name} is not at ${from.name}.`);
+
+                const quantity = Number(entry.quantity);
+                if (!Number.isInteger(quantity) || quantity <= 0) throw httpError(400, `${label}: quantity must be a whole number above zero.`);
+                if (quantity > batch.quantity) {
+                    throw httpError(400, `${label}: only ${batch.quantity} units of ${product.name} batch ${batch.batchNumber || 'without a number'} at ${from.name}.`);
+                }
+
+                tx.update('batches', batch.id, { ...batch, quantity: batch.quantity - quantity });
+                return {
+                    id: newId(),
+                    batchId: batch.id,
+                    productId: product.id,
+                    name: product.name,
+                    strength: product.strength,
+                    batchNumber: batch.batchNumber,
+                    expiryDate: batch.expiryDate,
+                    quantity,
+                    lot: lotDetails(batch),
+                    receivedBatchId: null
+                };
+            });
+
+            return tx.insert('transfers', {
+                id: newId(),
+                number: nextSequenceNumber(tx.all('transfers').map(t => t.number), 'TR'),
+                fromLocationId: from.id,
+                fromLocationName: from.name,
+                toLocationId: to.id,
+                toLocationName: to.name,
+                status: 'in-transit',
+                notes: notes ? String(notes).trim() : '',
+                dispatchedAt: new Date().toISOString(),
+                receivedAt: null,
+                cancelledAt: null,
+                lines: moved
+            });
+        }, requestContext(req));
+
+        const { units } = withUnits(transfer);
+        res.status(201).json({
+            message: `Transfer ${transfer.number} dispatched: ${units} units from ${transfer.fromLocationName} to ${transfer.toLocationName}.`,
+            transfer: withUnits(transfer)
+        });
+    }));
+
+    // 4. POST Confirm Receipt at the destination: the units go into its stock
+    router.post('/:id/receive', manageTransfers, asyncHandler(async (req, res) => {
+        const transfer = await store.transaction(tx => {
+            const current = getTransfer(tx, req.params.id);
+            if (current.status !== 'in-transit') throw httpError(409, `${current.number} is already ${current.status}.`);
+
+            const batches = tx.all('batches');
+            const lines = current.lines.map(line => {
+                const existing = batches.find(batch => batch.locationId === current.toLocationId && sameLot(batch, line.lot));
+                const batch = existing
+                    ? tx.update('batches', existing.id, { ...existing, quantity: existing.quantity + line.quantity })
+                    : tx.insert('batches', { id: newId(), ...line.lot, quantity: line.quantity, locationId: current.toLocationId });
+                if (!existing) batches.push(batch);
+                return { ...line, receivedBatchId: batch.id };
+            });
+            return tx.update('transfers', current.id, { ...current, status: 'received', receivedAt: new Date().toISOString(), lines });
+        }, requestContext(req));
+
+        res.json({ message: `Transfer ${transfer.number} received at ${transfer.toLocationName}.`, transfer: withUnits(transfer) });
+    }));
+
+    // 5. POST Cancel: only while in transit; the units go back into the lots they came from
+    router.post('/:id/cancel', manageTransfers, asyncHandler(async (req, res) => {
+        const transfer = await store.transaction(tx => {
+            const current = getTransfer(tx, req.params.id);
+            if (current.status !== 'in-transit') throw httpError(409, `${current.number} is ${current.status} and can't be cancelled.`);
+
+            current.lines.forEach(line => {
+                const source = tx.get('batches', line.batchId);
+                if (source) tx.update('batches', source.id, { ...source, quantity: source.quantity + line.quantity });
+                // the emptied lot was deleted meanwhile: put it back as it was
+                else tx.insert('batches', { id: newId(), ...line.lot, quantity: line.quantity, locationId: current.fromLocationId });
+            });
+            return tx.update('transfers', current.id, { ...current, status: 'cancelled', cancelledAt: new Date().toISOString() });
+        }, requestContext(req));
+
+        res.json({ message: `Transfer ${transfer.number} cancelled; the stock is back at ${transfer.fromLocationName}.`, transfer: withUnits(transfer) });
+    }));
+
+    return router;
+};
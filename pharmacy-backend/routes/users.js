@@ -0,0 +1,60 @@
+const express = require('express');
+const { httpError, asyncHandler } = require('../lib/http');
+const { requestContext } = require('../lib/requestContext');
+const { requireRole, hashPassword, checkPasswordStrength, toUserView } = require('../lib/auth');
+const { PROFILE_FIELDS, parseProfileFields, parseRole, newUser, assertOwnerRemains } = require('../lib/users');
+
+// --- User Account Routes (/api/users) ---
+// Owners only: staff accounts, their roles, deactivation and password resets.
+
+module.exports = ({ store }) => {
+    const router = express.Router();
+    router.use(requireRole('owner'));
+
+    // 1. GET Users, sorted by name
+    router.get('/', asyncHandler(async (req, res) => {
+        const users = await store.read(tx => tx.all('users'));
+        res.json(users.map(toUserView).sort((a, b) => a.name.localeCompare(b.name)));
+    }));
+
+    // 2. POST Add User: { username, password, role, ...profile }
+    router.post('/', asyncHandler(async (req, res) => {
+        const user = await store.transaction(tx => tx.insert('users', newUser(tx, req.body || {})), requestContext(req));
+        res.status(201).json({ message: `User ${user.username} added as ${user.role}.`, user: toUserView(user) });
+    }));
+
+    // 3. PATCH User: { role, active, password (a reset), ...profile }. Deactivating a user or resetting
+    //    their password ends their sessions.
+    router.patch('/:id', asyncHandler(async (req, res) => {
+        const body = req.body || {};
+        const unknown = Object.keys(body).filter(key => !PROFILE_FIELDS.includes(key) && !['role', 'active', 'password'].includes(key));
+        if (unknown.length) throw httpError(400, `Unknown fields: ${unknown.join(', ')}.`);
+
+        const changes = parseProfileFields(body);
+        if (body.role !== undefined) changes.role = parseRole(body.role);
+        if (body.active !== undefined) {
+            if (typeof body.active !== 'boolean') throw httpError(400, 'active must be true or false.');
+            changes.active = body.active;
+        }
+        if (body.password !== undefined) {
+            checkPasswordStrength(body.password);
+            changes.passwordHash = hashPassword(body.password);
+        }
+
+        const user = await store.transaction(tx => {
+            const current = tx.get('users', req.params.id);
+            if (!current) throw httpError(404, `No user with id ${req.params.id}.`);
+            const next = { ...current, ...changes };
+            assertOwnerRemains(tx, current.id, next);
+            if (!next.active || changes.passwordHash) {
+                tx.all('sessions')
+                    .filter(session => session.userId === current.id && session.id !== req.sessionId)
+                    .forEach(session => tx.remove('sessions', session.id));
+            }
+            return tx.update('users', current.id, next);
+        }, requestContext(req));
+        res.json({ message: `User ${user.username} updated.`, user: toUserView(user) });
+    }));
+
+    return router;
+};
@@ -0,0 +1,45 @@
+const express = require('express');
+const { httpError, asyncHandler } = require('../lib/http');
+const { today } = require('../lib/dates');
+const { filterSales } = require('../lib/sales');
+const { valueStock, MARGIN_GROUPS, salesMargins } = require('../lib/valuation');
+const { requireRole } = require('../lib/auth');
+const { parseLocationFilter, atLocation } = require('../lib/locations');
+
+// --- Valuation Routes (/api/valuation) ---
+// What the stock is worth and what the sales have earned; see lib/valuation.js for how.
+
+module.exports = ({ store, config }) => {
+    const router = express.Router();
+
+    // 1. GET Stock value: per SKU and in total, the units on hand at cost, at MRP and at selling
+    //    price, with the value at risk of expiry (within the near window) and already expired.
+    //    ?locationId= values the stock at one location only.
+    router.get('/stock', asyncHandler(async (req, res) => {
+        const { products, batches, locations } = await store.read(tx => ({
+            products: tx.all('products'),
+            batches: tx.all('batches'),
+            locations: tx.all('locations')
+        }));
+        const locationId = parseLocationFilter(locations, req.query.locationId);
+        const { skus, totals } = valueStock(products, atLocation(batches, locationId), config.expiryWindows);
+        res.json({
+            asOf: today(),
+            locationId,
+            skus: skus.sort((a, b) => b.costValue - a.costValue || a.name.localeCompare(b.name)),
+            totals
+        });
+    }));
+
+    // 2. GET Gross margins (owners and pharmacists): ?groupBy=sku (default), daily, weekly or monthly,
+    //    with the sales filters from, to (YYYY-MM-DD), medicine, strength, customerId and locationId
+    router.get('/margins', requireRole('owner', 'pharmacist'), asyncHandler(async (req, res) => {
+        const groupBy = req.query.groupBy || 'sku';
+        if (!MARGIN_GROUPS.includes(groupBy)) throw httpError(400, `Invalid groupBy. Use one of: ${MARGIN_GROUPS.join(', ')}.`);
+
+        const sales = filterSales(await store.read(tx => tx.all('sales')), req.query);
+        res.json({ groupBy, ...salesMargins(sales, groupBy) });
+    }));
+
+    return router;
+};
@@ -0,0 +1,108 @@
+const { newId } = require('../lib/ids');
+
+// --- Audit Log ---
+//
+// Wraps a store so every record a transaction creates, changes or deletes is written to the
+// `auditLog` collection in the same transaction, with the record before and after the change.
+// Routes say who made the change by passing a context as the second argument of
+// store.transaction (see lib/requestContext.js):
+//
+//   { actor: { id, username, name, role } | null, source: 'inventory.html' | null, request: 'POST /api/sales', ... }
+//
+// The log is append-only: transactions can't change or delete its entries, and restoring a backup
+// keeps the entries written since that backup was taken.
+
+const AUDIT_COLLECTION = 'auditLog';
+const NOT_AUDITED = [AUDIT_COLLECTION, 'sessions', 'requestKeys'];
+
+// Never copy secrets into the log
+const redact = (name, record) => {
+    if (!record || name !== 'users') return record;
+    const { passwordHash, ...rest } = record;
+    return rest;
+};
+
+const auditedTx = (tx, context) => {
+    const transactionId = newId();
+    const timestamp = new Date().toISOString();
+
+    const log = (action, name, recordId, before, after) => {
+        tx.insert(AUDIT_COLLECTION, {
+            id: newId(),
+            timestamp,
+            transactionId,
+            action,
+            collection: name,
+            recordId,
+            before: redact(name, before),
+            after: redact(name, after),
+            actor: context.actor || null,
+            source: context.source || null,
+            request: context.request || null
+        });
+    };
+    const assertNotLog = (name) => {
+        if (name === AUDIT_COLLECTION) throw new Error('The audit log is append-only.');
+    };
+
+    return {
+        ...tx,
+
+        insert: (name, record) => {
+            assertNotLog(name);
+            const after = tx.insert(name, record);
+            if (!NOT_AUDITED.includes(name)) log('create', name, after.id, null, after);
+            return after;
+        },
+
+        update: (name, id, record) => {
+            assertNotLog(name);
+            const before = tx.get(name, id);
+            const after = tx.update(name, id, record);
+            if (!NOT_AUDITED.includes(name) && JSON.stringify(before) !== JSON.stringify(after)) {
+                log('update', name, id, before, after);
+            }
+            return after;
+        },
+
+        remove: (name, id) => {
+            assertNotLog(name);
+            const before = tx.get(name, id);
+            const removed = tx.remove(name, id);
+            if (removed && !NOT_AUDITED.includes(name)) log('delete', name, id, before, null);
+            return removed;
+        }
+    };
+};
+
+const withAudit = (store) => ({
+    ...store,
+
+    transaction: (work, context = {}) => store.transaction(tx => work(auditedTx(tx, context)), context),
+
+    // A restore replaces the log along with everything else, so put back the entries written since
+    // the backup was taken and record the restore itself
+    restoreBackup: async (id, context = {}) => {
+        const current = await store.read(tx => tx.all(AUDIT_COLLECTION));
+        await store.restoreBackup(id);
+        await store.transaction(tx => {
+            const restored = new Set(tx.all(AUDIT_COLLECTION).map(entry => entry.id));
+            current.filter(entry => !restored.has(entry.id)).forEach(entry => tx.insert(AUDIT_COLLECTION, entry));
+            tx.insert(AUDIT_COLLECTION, {
+                id: newId(),
+                timestamp: new Date().toISOString(),
+                transactionId: newId(),
+                action: 'restore',
+                collection: null,
+                recordId: id,
+                before: null,
+                after: null,
+                actor: context.actor || null,
+                source: context.source || null,
+                request: context.request || null
+            });
+        });
+    }
+});
+
+module.exports = { AUDIT_COLLECTION, withAudit };
@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+const { httpError } = require('../lib/http');
+const { writeFileAtomic } = require('./files');
+
+// --- Backups ---
+//
+// A backup is a JSON snapshot of the whole data set ({ schemaVersion, <collection>: [...] }),
+// the same shape for both stores, so a backup taken under one can be restored under the other.
+// Files are named data-<timestamp>-<reason>.json; the part after "data-" is the backup id.
+// Only the newest `keep` backups are kept.
+
+const FILE_PATTERN = /^data-(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)-([a-z-]+)\.json$/;
+
+// Accounts and logins are not rolled back by a restore: a backup from before the owner signed up
+// would otherwise leave no users, and anyone could then set up a new owner account
+const ACCOUNT_COLLECTIONS = ['users', 'sessions'];
+
+// The data to restore: the backup's, with the current accounts and sessions kept
+const keepAccounts = (restored, current) => ({
+    ...restored,
+    ...Object.fromEntries(ACCOUNT_COLLECTIONS.map(name => [name, current[name] || []]))
+});
+
+const createBackups = ({ dir, keep, intervalMinutes }) => {
+    let lastBackupAt = 0;
+
+    const list = () => {
+        if (!fs.existsSync(dir)) return [];
+        return fs.readdirSync(dir)
+            .map(name => {
+                const match = FILE_PATTERN.exec(name);
+                if (!match) return null;
+                const [date, time] = match[1].split('T');
+                return {
+                    id: `${match[1]}-${match[2]}`,
+                    createdAt: `${date}T${time.replace(/^(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/, '$1:$2:$3.$4Z')}`,
+                    reason: match[2],
+                    size: fs.statSync(path.join(dir, name)).size,
+                    file: name
+                };
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    };
+
+    // Drop the oldest backups beyond `keep`
+    const prune = async () => {
+        const stale = list().slice(keep);
+        await Promise.all(stale.map(entry => fs.promises.unlink(path.join(dir, entry.file))));
+    };
+
+    // Snapshot `data` now; `reason` says why (auto, pre-restore, pre-migration, ...)
+    const write = async (data, reason) => {
+        await fs.promises.mkdir(dir, { recursive: true });
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        await writeFileAtomic(path.join(dir, `data-${stamp}-${reason}.json`), JSON.stringify(data, null, 2));
+        lastBackupAt = Date.now();
+        await prune();
+    };
+
+    return {
+        list: () => list().map(({ file, ...entry }) => entry),
+
+        write,
+
+        pathFor: (id) => {
+            const entry = list().find(backup => backup.id === id);
+            return entry ? path.join(dir, entry.file) : null;
+        },
+
+        // Take an automatic backup if the last one is older than the configured interval.
+        // `snapshot()` is only called when a backup is due.
+        writeIfDue: async (snapshot) => {
+            if (Date.now() - lastBackupAt >= intervalMinutes * 60 * 1000) await write(snapshot(), 'auto');
+        },
+
+        // Read a backup's contents; 404 when it doesn't exist, 422 when it can't be parsed
+        load: (id) => {
+            const entry = list().find(backup => backup.id === id);
+            if (!entry) throw httpError(404, `No backup with id ${id}.`);
+            try {
+                return JSON.parse(fs.readFileSync(path.join(dir, entry.file), 'utf8'));
+            } catch (error) {
+                throw httpError(422, `Backup ${id} is not valid JSON and cannot be restored.`);
+            }
+        },
+
+        // Resume the interval from the newest backup on disk instead of backing up on every start
+        init: () => {
+            const newest = list()[0];
+            lastBackupAt = newest ? new Date(newest.createdAt).getTime() : 0;
+        }
+    };
+};
+
+module.exports = { createBackups, keepAccounts };
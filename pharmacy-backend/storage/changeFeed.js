@@ -0,0 +1,76 @@
+// --- Change Feed ---
+//
+// Wraps a store so code outside the routes can hear about data as it changes. Once a transaction
+// has committed, every listener registered with store.onChange(listener) is called with the
+// records it touched and the context it ran under:
+//
+//   listener([{ action: 'create' | 'update' | 'delete', collection, recordId, before, after }], context)
+//
+// Nothing is reported for a transaction that rolled back or changed nothing. Restoring a backup
+// replaces everything at once, so it is reported as a single { action: 'restore' } change.
+// A listener that throws is logged and does not affect the change or the other listeners.
+
+const trackedTx = (tx, changes) => ({
+    ...tx,
+
+    insert: (name, record) => {
+        const after = tx.insert(name, record);
+        changes.push({ action: 'create', collection: name, recordId: after.id, before: null, after });
+        return after;
+    },
+
+    update: (name, id, record) => {
+        const before = tx.get(name, id);
+        const after = tx.update(name, id, record);
+        if (JSON.stringify(before) !== JSON.stringify(after)) {
+            changes.push({ action: 'update', collection: name, recordId: id, before, after });
+        }
+        return after;
+    },
+
+    remove: (name, id) => {
+        const before = tx.get(name, id);
+        const removed = tx.remove(name, id);
+        if (removed) changes.push({ action: 'delete', collection: name, recordId: id, before, after: null });
+        return removed;
+    }
+});
+
+const withChangeFeed = (store) => {
+    const listeners = new Set();
+
+    const notify = (changes, context) => {
+        if (!changes.length) return;
+        listeners.forEach(listener => {
+            try {
+                listener(changes, context);
+            } catch (error) {
+                console.error('Change listener failed:', error);
+            }
+        });
+    };
+
+    return {
+        ...store,
+
+        transaction: async (work, context = {}) => {
+            const changes = [];
+            const result = await store.transaction(tx => work(trackedTx(tx, changes)), context);
+            notify(changes, context);
+            return result;
+        },
+
+        restoreBackup: async (id, context = {}) => {
+            await store.restoreBackup(id, context);
+            notify([{ action: 'restore', collection: null, recordId: id, before: null, after: null }], context);
+        },
+
+        // Register a listener; returns a function that removes it
+        onChange: (listener) => {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        }
+    };
+};
+
+module.exports = { withChangeFeed };
@@ -0,0 +1,13 @@
+// --- Helpers Shared by the Stores ---
+
+// Collection names become JSON keys or SQLite table names, so keep them to plain identifiers
+const COLLECTION_NAME = /^[a-z][A-Za-z]*$/;
+
+const checkName = (name) => {
+    if (!COLLECTION_NAME.test(name)) throw new Error(`Invalid collection name "${name}".`);
+};
+
+// Records are plain JSON; hand out copies so callers can't change stored data by accident
+const clone = (record) => JSON.parse(JSON.stringify(record));
+
+module.exports = { checkName, clone };
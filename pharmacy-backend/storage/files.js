@@ -0,0 +1,17 @@
+const fs = require('fs');
+
+// Write a file so that a crash can never leave it half-written: the contents go to a temporary
+// file next to it, are flushed to disk, and only then renamed over the original in one step.
+const writeFileAtomic = async (file, contents) => {
+    const tmp = `${file}.${process.pid}.tmp`;
+    const handle = await fs.promises.open(tmp, 'w');
+    try {
+        await handle.writeFile(contents, 'utf8');
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+    await fs.promises.rename(tmp, file);
+};
+
+module.exports = { writeFileAtomic };
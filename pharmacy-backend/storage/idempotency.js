@@ -0,0 +1,39 @@
+const { httpError } = require('../lib/http');
+
+// --- Idempotent Changes ---
+//
+// A client that may send the same change twice (the browser's offline sync queue replays changes
+// when the connection comes back, and can't always tell whether an earlier attempt got through)
+// sends an Idempotency-Key header. The key is stored in the same transaction as the change, so a
+// second request with it is refused with 409 and `duplicate: true` instead of being applied again.
+// Keys are forgotten after KEEP_DAYS.
+
+const KEY_COLLECTION = 'requestKeys';
+const KEEP_DAYS = 30;
+
+const withIdempotency = (store) => ({
+    ...store,
+
+    transaction: (work, context = {}) => {
+        const key = context.idempotencyKey;
+        if (!key) return store.transaction(work, context);
+
+        return store.transaction(tx => {
+            const seen = tx.get(KEY_COLLECTION, key);
+            if (seen) {
+                throw httpError(409, `This change was already applied on ${seen.createdAt}.`, { duplicate: true, appliedAt: seen.createdAt });
+            }
+
+            const now = new Date();
+            const cutoff = new Date(now.getTime() - KEEP_DAYS * 86400000).toISOString();
+            tx.all(KEY_COLLECTION)
+                .filter(entry => entry.createdAt < cutoff)
+                .forEach(entry => tx.remove(KEY_COLLECTION, entry.id));
+            tx.insert(KEY_COLLECTION, { id: key, request: context.request || null, createdAt: now.toISOString() });
+
+            return work(tx);
+        }, context);
+    }
+});
+
+module.exports = { withIdempotency };
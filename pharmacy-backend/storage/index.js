@@ -0,0 +1,51 @@
+// --- Storage Layer ---
+//
+// Routes never touch files or databases directly; they go through a store chosen by config
+// (STORAGE=json|sqlite). Both stores expose the same interface:
+//
+//   store.init()               open the data, run schema migrations; resolves to { created, migrated }
+//   store.read(work)           run work(tx) against committed data (no writes)
+//   store.transaction(work, context)
+//                              run work(tx) atomically; throwing inside rolls everything back. Every
+//                              change is recorded in the audit log under `context` (see ./audit.js),
+//                              and a change carrying an idempotency key is applied only once
+//                              (see ./idempotency.js).
+//   store.listBackups()        backups, newest first: [{ id, createdAt, reason, size }]
+//   store.restoreBackup(id, context)
+//                              replace all data with a backup (the current data is backed up first)
+//   store.onChange(listener)   call listener(changes, context) after each committed change (see
+//                              ./changeFeed.js); returns a function that stops it
+//   store.close()              finish pending writes and release the data
+//
+// `work` is synchronous and receives a transaction handle:
+//
+//   tx.all(collection)                 every record, in insertion order
+//   tx.get(collection, id)             one record, or undefined
+//   tx.insert(collection, record)      add a record (it must carry an `id`)
+//   tx.update(collection, id, record)  replace a record
+//   tx.remove(collection, id)          delete a record; returns whether it existed
+//
+// Records handed out are copies: changing one has no effect until it is passed to tx.update().
+
+const { createJsonStore } = require('./jsonStore');
+const { createBackups } = require('./backups');
+const { withAudit } = require('./audit');
+const { withIdempotency } = require('./idempotency');
+const { withChangeFeed } = require('./changeFeed');
+
+const createStore = (config) => {
+    const backups = createBackups({
+        dir: config.backupDir,
+        keep: config.backupKeep,
+        intervalMinutes: config.backupIntervalMinutes
+    });
+
+    if (config.storage === 'sqlite') {
+        // Only load the native SQLite driver when it is actually used
+        const { createSqliteStore } = require('./sqliteStore');
+        return withChangeFeed(withAudit(withIdempotency(createSqliteStore({ file: config.sqliteFile, importFile: config.dataFile, backups }))));
+    }
+    return withChangeFeed(withAudit(withIdempotency(createJsonStore({ file: config.dataFile, backups }))));
+};
+
+module.exports = { createStore };
@@ -0,0 +1,131 @@
+const fs = require('fs');
+const { migrate } = require('./migrations');
+const { checkName, clone } = require('./collections');
+const { writeFileAtomic } = require('./files');
+const { keepAccounts } = require('./backups');
+
+// --- JSON File Store ---
+//
+// Keeps the whole data set in memory and writes it back to one JSON file after each committed
+// transaction. Transactions are queued so only one runs at a time; each works on a copy-on-write
+// view of the data that only becomes visible once the file write has succeeded. Writes replace the
+// file atomically, and the previous contents are snapshotted into `backups` on a schedule.
+
+// A transaction handle over `data` ({ <collection>: [records] }). Writes replace a collection's
+// array rather than editing it, so the committed arrays are never touched by a working copy.
+const createTx = (data, writable) => {
+    const list = (name) => {
+        checkName(name);
+        return data[name] || [];
+    };
+    const assertWritable = () => {
+        if (!writable) throw new Error('Cannot modify data outside a transaction.');
+    };
+
+    return {
+        all: (name) => list(name).map(clone),
+
+        get: (name, id) => {
+            const record = list(name).find(r => r.id === id);
+            return record ? clone(record) : undefined;
+        },
+
+        insert: (name, record) => {
+            assertWritable();
+            const records = list(name);
+            if (!record || record.id == null) throw new Error(`Records in ${name} need an id.`);
+            if (records.some(r => r.id === record.id)) throw new Error(`Duplicate id ${record.id} in ${name}.`);
+            data[name] = [...records, clone(record)];
+            return clone(record);
+        },
+
+        update: (name, id, record) => {
+            assertWritable();
+            const records = list(name);
+            const index = records.findIndex(r => r.id === id);
+            if (index === -1) throw new Error(`No record ${id} in ${name}.`);
+            data[name] = records.slice();
+            data[name][index] = clone({ ...record, id });
+            return clone(data[name][index]);
+        },
+
+        remove: (name, id) => {
+            assertWritable();
+            const records = list(name);
+            const next = records.filter(r => r.id !== id);
+            if (next.length === records.length) return false;
+            data[name] = next;
+            return true;
+        }
+    };
+};
+
+const createJsonStore = ({ file, backups }) => {
+    let state = null; // last committed data: { schemaVersion, <collection>: [records] }
+    let queue = Promise.resolve();
+
+    const persist = (data) => writeFileAtomic(file, JSON.stringify(data, null, 2));
+
+    // Run `task` once every transaction queued before it has finished
+    const enqueue = (task) => {
+        const run = queue.then(task);
+        queue = run.catch(() => {});
+        return run;
+    };
+
+    // A file we can't parse is never treated as empty: starting anyway would let the next
+    // write replace the whole inventory with nothing.
+    const readFile = () => {
+        try {
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            const newest = backups.list()[0];
+            const hint = newest
+                ? `Restore the newest backup by copying ${backups.pathFor(newest.id)} over it, or repair the file by hand.`
+                : 'Repair the file by hand or restore it from a copy.';
+            throw new Error(`Data file ${file} could not be read: ${error.message}. Refusing to start. ${hint}`);
+        }
+    };
+
+    return {
+        kind: 'json',
+
+        // Load the file (creating it when missing) and migrate it to the current schema
+        init: async () => {
+            backups.init();
+            const exists = fs.existsSync(file);
+            const raw = exists ? readFile() : {};
+            const { data, applied } = migrate(raw);
+            if (exists && applied.length) await backups.write(raw, 'pre-migration');
+            state = data;
+            if (!exists || applied.length) await persist(state);
+            return { created: !exists, migrated: applied };
+        },
+
+        read: (work) => Promise.resolve().then(() => work(createTx(state, false))),
+
+        transaction: (work) => enqueue(async () => {
+            const working = { ...state };
+            const result = work(createTx(working, true));
+            await backups.writeIfDue(() => state);
+            await persist(working);
+            state = working;
+            return result;
+        }),
+
+        listBackups: () => Promise.resolve(backups.list()),
+
+        // Replace all data but the accounts with a backup. The current data is backed up first, so a
+        // restore can be undone.
+        restoreBackup: (id) => enqueue(async () => {
+            const data = keepAccounts(migrate(backups.load(id)).data, state);
+            await backups.write(state, 'pre-restore');
+            await persist(data);
+            state = data;
+        }),
+
+        close: () => queue
+    };
+};
+
+module.exports = { createJsonStore };
@@ -0,0 +1,271 @@
+const { newId } = require('../lib/ids');
+
+// --- Data Schema Versions ---
+//
+// Stored data carries a `schemaVersion` (a key in the JSON file, a row in SQLite's meta table).
+// Each migration below upgrades the data from the previous version to its own; the stores run
+// them in order on startup until the data is current. Migrations work on the whole data set as
+// one plain object: { schemaVersion, <collection>: [records...] }.
+//
+//   0  Unversioned files written by the old servers: a bare inventory array or { inventory: [...] },
+//      with expiry stored as `expiryDate` (index.js) or `'expiry-date'` (server.js)
+//   1  { products, batches, sales }: one product per SKU (name + strength), one batch per receipt
+//   2  adds `adjustments`: write-offs and count corrections, kept apart from sales
+//   3  adds `disposals`: records of expired stock taken out of quarantine and destroyed or returned
+//   4  products gain stock thresholds: minLevel, reorderPoint, reorderQuantity (null until set)
+//   5  adds `suppliers` and `purchaseOrders`; batches record the supplier and order they came from
+//   6  adds `invoices`; products gain billing details (hsnCode, gstRate, mrp); sales record their invoiceId
+//   7  adds `prescriptions`; products gain a drug schedule (H, H1, X); sales and invoices record their
+//      prescriptionId
+//   8  adds `customers`; sales and invoices record their customerId, sales the daily dose (for refills)
+//   9  adds `users` (staff accounts with roles) and `sessions` (logins, keyed by a hash of their token)
+//  10  adds `auditLog`: every change to a record, with who made it and from which page
+//  11  adds `requestKeys`: idempotency keys of changes already applied, so replayed requests are skipped
+//  12  products become a drug master: genericName (salt composition), dosageForm, packSize,
+//      manufacturer (taken from the latest lot received) and ean
+//  13  batches gain an mrp (the product's, until set) and a sellingPrice; sale lines record the lot's
+//      unitCost, the unitPrice charged and its gstRate (for margins), worked out for past sales from
+//      their invoice line or else the lot and product prices
+//  14  adds `locations` (starting with the shop floor, where all existing stock is) and `transfers`
+//      between them; batches, sales and invoices record their locationId
+
+// Pick the expiry date out of whichever key a legacy record used
+const legacyExpiry = (item) => item.expiryDate || item['expiry-date'] || item.expiry || '';
+
+const migrations = [
+    {
+        version: 1,
+        description: 'Split the flat inventory into products and batches; normalise expiry to expiryDate',
+        up: (raw) => {
+            // Files written between the batch model and schema versioning are already in shape
+            if (raw && !Array.isArray(raw) && Array.isArray(raw.products) && Array.isArray(raw.batches)) {
+                return { products: raw.products, batches: raw.batches, sales: raw.sales || [] };
+            }
+
+            const items = Array.isArray(raw) ? raw : (raw && Array.isArray(raw.inventory) ? raw.inventory : []);
+            const products = [];
+            const batches = [];
+
+            items.forEach(item => {
+                if (!item || !item.name || !item.strength) return;
+                const name = String(item.name).trim();
+                const strength = String(item.strength).trim();
+                let product = products.find(p =>
+                    p.name.toLowerCase() === name.toLowerCase() && p.strength.toLowerCase() === strength.toLowerCase()
+                );
+                if (!product) {
+                    product = { id: newId(), name, strength };
+                    products.push(product);
+                }
+                batches.push({
+                    id: item.id != null ? String(item.id) : newId(),
+                    productId: product.id,
+                    batchNumber: item.batchNumber || '',
+                    manufacturer: item.manufacturer || '',
+                    quantity: Number(item.quantity || 0),
+                    expiryDate: legacyExpiry(item),
+                    purchasePrice: item.purchasePrice != null ? Number(item.purchasePrice) : null,
+                    receivedDate: item.receivedDate || null
+                });
+            });
+
+            const sales = raw && Array.isArray(raw.sales) ? raw.sales : [];
+            return { products, batches, sales };
+        }
+    },
+    {
+        version: 2,
+        description: 'Add the stock adjustments ledger',
+        up: (data) => ({ ...data, adjustments: data.adjustments || [] })
+    },
+    {
+        version: 3,
+        description: 'Add the expired stock disposal records',
+        up: (data) => ({ ...data, disposals: data.disposals || [] })
+    },
+    {
+        version: 4,
+        description: 'Add per-SKU stock thresholds',
+        up: (data) => ({
+            ...data,
+            products: data.products.map(product => ({
+                minLevel: null,
+                reorderPoint: null,
+                reorderQuantity: null,
+                ...product
+            }))
+        })
+    },
+    {
+        version: 5,
+        description: 'Add suppliers and purchase orders',
+        up: (data) => ({
+            ...data,
+            suppliers: data.suppliers || [],
+            purchaseOrders: data.purchaseOrders || [],
+            batches: data.batches.map(batch => ({ supplierId: null, purchaseOrderId: null, ...batch }))
+        })
+    },
+    {
+        version: 6,
+        description: 'Add invoices and product billing details',
+        up: (data) => ({
+            ...data,
+            invoices: data.invoices || [],
+            products: data.products.map(product => ({ hsnCode: '', gstRate: null, mrp: null, ...product })),
+            sales: data.sales.map(sale => ({ invoiceId: null, ...sale }))
+        })
+    },
+    {
+        version: 7,
+        description: 'Add drug schedules and prescriptions',
+        up: (data) => ({
+            ...data,
+            prescriptions: data.prescriptions || [],
+            invoices: data.invoices.map(invoice => ({ prescriptionId: null, ...invoice })),
+            products: data.products.map(product => ({ schedule: null, ...product })),
+            sales: data.sales.map(sale => ({ prescriptionId: null, ...sale }))
+        })
+    },
+    {
+        version: 8,
+        description: 'Add customers',
+        up: (data) => ({
+            ...data,
+            customers: data.customers || [],
+            sales: data.sales.map(sale => ({ customerId: null, dailyDose: null, ...sale })),
+            invoices: data.invoices.map(invoice => ({ customerId: null, ...invoice }))
+        })
+    },
+    {
+        version: 9,
+        description: 'Add user accounts and login sessions',
+        up: (data) => ({
+            ...data,
+            users: data.users || [],
+            sessions: data.sessions || []
+        })
+    },
+    {
+        version: 10,
+        description: 'Add the audit log',
+        up: (data) => ({
+            ...data,
+            auditLog: data.auditLog || []
+        })
+    },
+    {
+        version: 11,
+        description: 'Add idempotency keys',
+        up: (data) => ({
+            ...data,
+            requestKeys: data.requestKeys || []
+        })
+    },
+    {
+        version: 12,
+        description: 'Add drug master details to products',
+        up: (data) => {
+            // The manufacturer on the most recently received lot that names one
+            const latestManufacturer = (productId) => data.batches
+                .filter(batch => batch.productId === productId && batch.manufacturer)
+                .sort((a, b) => String(b.receivedDate || '').localeCompare(String(a.receivedDate || '')))
+                .map(batch => batch.manufacturer)[0] || '';
+            return {
+                ...data,
+                products: data.products.map(product => ({
+                    genericName: '',
+                    dosageForm: '',
+                    packSize: null,
+                    manufacturer: latestManufacturer(product.id),
+                    ean: '',
+                    ...product
+                }))
+            };
+        }
+    },
+    {
+        version: 13,
+        description: 'Add batch prices and sale line costs',
+        up: (data) => {
+            const productOf = (id) => data.products.find(product => product.id === id) || {};
+            const batches = data.batches.map(batch => ({ mrp: productOf(batch.productId).mrp ?? null, sellingPrice: null, ...batch }));
+
+            // What a past sale line was charged: its invoice line's price after discount, or else MRP
+            const pricingOf = (sale, line) => {
+                const invoice = sale.invoiceId && data.invoices.find(inv => inv.id === sale.invoiceId);
+                const invoiceLine = invoice && invoice.lines.find(l => l.saleId === sale.id);
+                if (invoiceLine) {
+                    const unitPrice = Math.round(invoiceLine.mrp * (1 - invoiceLine.discountPercent / 100) * 100) / 100;
+                    return { unitPrice, gstRate: invoiceLine.gstRate };
+                }
+                const batch = batches.find(b => b.id === line.batchId) || {};
+                const product = productOf(line.productId);
+                return { unitPrice: batch.sellingPrice ?? batch.mrp ?? product.mrp ?? null, gstRate: product.gstRate ?? null };
+            };
+
+            return {
+                ...data,
+                batches,
+                sales: data.sales.map(sale => ({
+                    ...sale,
+                    batches: (sale.batches || []).map(line => ({
+                        unitCost: (batches.find(b => b.id === line.batchId) || {}).purchasePrice ?? null,
+                        ...pricingOf(sale, line),
+                        ...line
+                    }))
+                }))
+            };
+        }
+    },
+    {
+        version: 14,
+        description: 'Add locations and stock transfers',
+        up: (data) => {
+            const locations = data.locations && data.locations.length ? data.locations : [{
+                id: newId(),
+                name: 'Shop floor',
+                kind: 'shop',
+                address: '',
+                isDefault: true,
+                active: true,
+                createdAt: new Date().toISOString()
+            }];
+            const home = (locations.find(location => location.isDefault) || locations[0]).id;
+            return {
+                ...data,
+                locations,
+                transfers: data.transfers || [],
+                batches: data.batches.map(batch => ({ locationId: home, ...batch })),
+                sales: data.sales.map(sale => ({ locationId: home, ...sale })),
+                invoices: data.invoices.map(invoice => ({ locationId: home, ...invoice }))
+            };
+        }
+    }
+];
+
+const CURRENT_VERSION = migrations[migrations.length - 1].version;
+
+// Bring parsed file contents up to the current schema.
+// Returns { data, applied } where `applied` lists the versions that were migrated through.
+const migrate = (raw) => {
+    const fromVersion = raw && !Array.isArray(raw) && Number.isInteger(raw.schemaVersion) ? raw.schemaVersion : 0;
+
+    if (fromVersion > CURRENT_VERSION) {
+        throw new Error(`Data file schema version ${fromVersion} is newer than this backend supports (${CURRENT_VERSION}).`);
+    }
+
+    let data = raw;
+    const applied = [];
+    migrations
+        .filter(migration => migration.version > fromVersion)
+        .forEach(migration => {
+            const { schemaVersion, ...collections } = migration.up(data);
+            data = { schemaVersion: migration.version, ...collections };
+            applied.push(migration.version);
+        });
+
+    return { data, applied };
+};
+
+module.exports = { CURRENT_VERSION, migrate };
@@ -0,0 +1,41 @@
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('./files');
+
+// --- Prescription Images ---
+//
+// Scanned prescriptions are kept as files in their own directory, named after the prescription id
+// (see lib/prescriptions.js); the records in the store only hold the file name.
+
+const createPrescriptionImages = ({ dir }) => {
+    const pathFor = (fileName) => path.join(dir, path.basename(fileName));
+
+    const remove = async (fileName) => {
+        await fs.promises.unlink(pathFor(fileName)).catch(error => {
+            if (error.code !== 'ENOENT') throw error;
+        });
+    };
+
+    return {
+        pathFor,
+
+        exists: (fileName) => fs.existsSync(pathFor(fileName)),
+
+        // Save the scan of a parsed prescription (if there is one), then run `work`. Files can't be
+        // rolled back with a transaction, so if `work` fails the scan is removed again.
+        saveWhile: async (rx, work) => {
+            if (!rx || !rx.image) return work();
+            const { fileName } = rx.prescription.image;
+            await fs.promises.mkdir(dir, { recursive: true });
+            await writeFileAtomic(pathFor(fileName), rx.image.data);
+            try {
+                return await work();
+            } catch (error) {
+                await remove(fileName);
+                throw error;
+            }
+        }
+    };
+};
+
+module.exports = { createPrescriptionImages };
@@ -0,0 +1,169 @@
+const fs = require('fs');
+const Database = require('better-sqlite3');
+const { migrate } = require('./migrations');
+const { checkName, clone } = require('./collections');
+const { keepAccounts } = require('./backups');
+
+// --- SQLite Store ---
+//
+// Each collection is a table of JSON documents keyed by record id, plus a `_meta` table for the
+// schema version. Transactions map onto SQLite transactions (BEGIN IMMEDIATE), so a sale or a
+// stock receipt is either written completely or not at all, even if the process dies halfway.
+// Backups are JSON exports of the whole database, taken on the same schedule as the JSON store's.
+
+const META_TABLE = '_meta';
+
+const createSqliteStore = ({ file, importFile, backups }) => {
+    let db = null;
+    const statements = new Map(); // prepared statements, keyed by collection + operation
+    const knownTables = new Set();
+
+    const ensureTable = (name) => {
+        checkName(name);
+        if (!knownTables.has(name)) {
+            db.exec(`CREATE TABLE IF NOT EXISTS "${name}" (id TEXT PRIMARY KEY, doc TEXT NOT NULL)`);
+            knownTables.add(name);
+        }
+    };
+
+    const statement = (name, op) => {
+        const key = `${name}:${op}`;
+        if (!statements.has(key)) {
+            const sql = {
+                all: `SELECT doc FROM "${name}" ORDER BY rowid`,
+                get: `SELECT doc FROM "${name}" WHERE id = ?`,
+                insert: `INSERT INTO "${name}" (id, doc) VALUES (?, ?)`,
+                update: `UPDATE "${name}" SET doc = ? WHERE id = ?`,
+                remove: `DELETE FROM "${name}" WHERE id = ?`
+            }[op];
+            statements.set(key, db.prepare(sql));
+        }
+        return statements.get(key);
+    };
+
+    const getMeta = (key) => {
+        const row = db.prepare(`SELECT value FROM ${META_TABLE} WHERE key = ?`).get(key);
+        return row ? JSON.parse(row.value) : undefined;
+    };
+    const setMeta = (key, value) => {
+        db.prepare(`INSERT INTO ${META_TABLE} (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value`)
+            .run(key, JSON.stringify(value));
+    };
+
+    const createTx = (writable) => {
+        const assertWritable = () => {
+            if (!writable) throw new Error('Cannot modify data outside a transaction.');
+        };
+
+        return {
+            all: (name) => {
+                ensureTable(name);
+                return statement(name, 'all').all().map(row => JSON.parse(row.doc));
+            },
+
+            get: (name, id) => {
+                ensureTable(name);
+                const row = statement(name, 'get').get(String(id));
+                return row ? JSON.parse(row.doc) : undefined;
+            },
+
+            insert: (name, record) => {
+                assertWritable();
+                ensureTable(name);
+                if (!record || record.id == null) throw new Error(`Records in ${name} need an id.`);
+                try {
+                    statement(name, 'insert').run(String(record.id), JSON.stringify(record));
+                } catch (error) {
+                    if (error.code === 'SQLITE_CONSTRAINT_PRIMARYKEY') throw new Error(`Duplicate id ${record.id} in ${name}.`);
+                    throw error;
+                }
+                return clone(record);
+            },
+
+            update: (name, id, record) => {
+                assertWritable();
+                ensureTable(name);
+                const next = { ...record, id };
+                const { changes } = statement(name, 'update').run(JSON.stringify(next), String(id));
+                if (changes === 0) throw new Error(`No record ${id} in ${name}.`);
+                return clone(next);
+            },
+
+            remove: (name, id) => {
+                assertWritable();
+                ensureTable(name);
+                return statement(name, 'remove').run(String(id)).changes > 0;
+            }
+        };
+    };
+
+    const collectionTables = () => db
+        .prepare(`SELECT name FROM sqlite_master WHERE type = 'table' AND name != '${META_TABLE}'`)
+        .all()
+        .map(({ name }) => name);
+
+    // The whole data set as one object, in the shape the migrations and backups use
+    const exportAll = () => {
+        const data = { schemaVersion: getMeta('schemaVersion') };
+        collectionTables().forEach(name => { data[name] = createTx(false).all(name); });
+        return data;
+    };
+
+    // Replace every collection with the contents of `data` (after a migration or a restore)
+    const replaceAll = (data) => {
+        const tx = createTx(true);
+        collectionTables().forEach(name => db.exec(`DELETE FROM "${name}"`));
+        Object.keys(data).filter(key => Array.isArray(data[key])).forEach(name => {
+            data[name].forEach(record => tx.insert(name, record));
+        });
+        setMeta('schemaVersion', data.schemaVersion);
+    };
+
+    return {
+        kind: 'sqlite',
+
+        // Open the database and migrate it to the current schema. A brand-new database is seeded
+        // from `importFile` (the JSON data file) when one exists, so switching stores keeps the data.
+        init: async () => {
+            backups.init();
+            db = new Database(file);
+            db.pragma('journal_mode = WAL');
+            db.exec(`CREATE TABLE IF NOT EXISTS ${META_TABLE} (key TEXT PRIMARY KEY, value TEXT NOT NULL)`);
+
+            const isNew = getMeta('schemaVersion') === undefined;
+            let raw = {};
+            if (!isNew) raw = exportAll();
+            else if (importFile && fs.existsSync(importFile)) raw = JSON.parse(fs.readFileSync(importFile, 'utf8'));
+
+            const { data, applied } = migrate(raw);
+            if (!isNew && applied.length) await backups.write(raw, 'pre-migration');
+            if (isNew || applied.length) db.transaction(() => replaceAll(data)).immediate();
+            return { created: isNew, migrated: applied };
+        },
+
+        read: (work) => Promise.resolve().then(() => work(createTx(false))),
+
+        // `work` must be synchronous; better-sqlite3 runs the whole transaction in one go
+        transaction: async (work) => {
+            await backups.writeIfDue(exportAll);
+            return db.transaction(() => work(createTx(true))).immediate();
+        },
+
+        listBackups: () => Promise.resolve(backups.list()),
+
+        // Replace all data but the accounts with a backup. The current data is backed up first, so a
+        // restore can be undone.
+        restoreBackup: async (id) => {
+            const current = exportAll();
+            const data = keepAccounts(migrate(backups.load(id)).data, current);
+            await backups.write(current, 'pre-restore');
+            db.transaction(() => replaceAll(data)).immediate();
+        },
+
+        close: async () => {
+            if (db) db.close();
+        }
+    };
+};
+
+module.exports = { createSqliteStore };